@@ -0,0 +1,35 @@
+/**
+ * GET /api/admin/access-log — Who read which call records
+ *
+ * Auth: Authorization: Bearer <ADMIN_API_KEY>
+ * Query params: ?tenant=acme-plumbing&date=2026-10-19 (tenant-local date, default today)
+ * Entries are kept for 90 days (see logAccess in lib/auth.js).
+ */
+const { getTenant } = require('../../lib/tenants');
+const { getStore } = require('../../lib/storage');
+const { authenticateAdmin } = require('../../lib/auth');
+const { dateKey, zonedParts } = require('../../lib/time');
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+  if (!authenticateAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  const tenant = req.query?.tenant ? getTenant(req.query.tenant) : null;
+  if (!tenant) return res.status(req.query?.tenant ? 404 : 400).json({ error: req.query?.tenant ? 'Unknown tenant' : 'tenant query param required' });
+  const store = getStore(tenant);
+  if (!store) return res.status(503).json({ error: 'Storage not configured' });
+
+  const date = req.query?.date || dateKey(zonedParts(new Date(), tenant.timezone));
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+
+  try {
+    // Days logged before the set was used are a plain array value
+    const legacy = (await store.getValue(`access_log:${date}`)) || [];
+    const entries = [...legacy, ...(await store.getSet(`access_log:${date}`)).map(e => JSON.parse(e))]
+      .sort((a, b) => a.at.localeCompare(b.at));
+    return res.json({ tenant: tenant.id, date, entries });
+  } catch (e) {
+    console.error('Storage fetch error:', e.message);
+    return res.status(500).json({ error: 'Storage error' });
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * /api/admin/caller-data — Data-subject requests for one phone number
+ *
+ * Auth: Authorization: Bearer <ADMIN_API_KEY>
+ *   GET    ?tenant=acme-plumbing&phone=+12815550142  → everything stored for the number
+ *   DELETE ?tenant=acme-plumbing&phone=+12815550142  → erases it (the opt-out is kept)
+ * See lib/retention.js for what's covered.
+ */
+const { getTenant } = require('../../lib/tenants');
+const { getStore } = require('../../lib/storage');
+const { authenticateAdmin } = require('../../lib/auth');
+const { exportCallerData, deleteCallerData } = require('../../lib/retention');
+const { maskPhone } = require('../../lib/redact');
+
+module.exports = async function handler(req, res) {
+  if (!authenticateAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  const tenant = req.query?.tenant ? getTenant(req.query.tenant) : null;
+  if (!tenant) return res.status(req.query?.tenant ? 404 : 400).json({ error: req.query?.tenant ? 'Unknown tenant' : 'tenant query param required' });
+  const phone = req.query?.phone;
+  if (!phone || String(phone).replace(/\D/g, '').length < 10) return res.status(400).json({ error: 'phone query param required' });
+  if (!getStore(tenant)) return res.status(503).json({ error: 'Storage not configured' });
+
+  try {
+    if (req.method === 'GET') {
+      const data = await exportCallerData(tenant, phone);
+      console.log(`DATA_EXPORT: ${maskPhone(phone)} from ${tenant.id} — ${data.records.length} records`);
+      return res.json(data);
+    }
+    if (req.method === 'DELETE') {
+      const deleted = await deleteCallerData(tenant, phone);
+      console.log(`DATA_DELETE: ${maskPhone(phone)} from ${tenant.id} — ${deleted.records} records`);
+      return res.json({ ok: true, deleted });
+    }
+    return res.status(405).json({ error: 'GET or DELETE only' });
+  } catch (e) {
+    console.error('Caller data error:', e.message);
+    return res.status(500).json({ error: 'Storage error' });
+  }
+};
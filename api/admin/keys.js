@@ -0,0 +1,40 @@
+/**
+ * /api/admin/keys — Create, list and revoke tenant API keys
+ *
+ * Auth: Authorization: Bearer <ADMIN_API_KEY>
+ *   GET    ?tenant=acme-plumbing                 → { keys: [...] } (no secrets)
+ *   POST   { tenant: 'acme-plumbing', name }     → { key, record } — key is shown once
+ *   DELETE ?tenant=acme-plumbing&id=<keyId>      → { revoked: record }
+ */
+const { getTenant } = require('../../lib/tenants');
+const { getStore } = require('../../lib/storage');
+const { authenticateAdmin } = require('../../lib/auth');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../../lib/apikeys');
+
+module.exports = async function handler(req, res) {
+  if (!authenticateAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  const tenantId = req.method === 'POST' ? req.body?.tenant : req.query?.tenant;
+  const tenant = tenantId ? getTenant(tenantId) : null;
+  if (!tenant) return res.status(tenantId ? 404 : 400).json({ error: tenantId ? 'Unknown tenant' : 'tenant required' });
+  if (!getStore(tenant)) return res.status(503).json({ error: 'Storage not configured' });
+
+  try {
+    if (req.method === 'GET') return res.json({ keys: await listApiKeys(tenant) });
+    if (req.method === 'POST') {
+      const created = await createApiKey(tenant, { name: req.body?.name });
+      console.log(`API key ${created.record.id} created for ${tenant.id}`);
+      return res.status(201).json(created);
+    }
+    if (req.method === 'DELETE') {
+      const revoked = await revokeApiKey(tenant, req.query?.id);
+      if (!revoked) return res.status(404).json({ error: 'Unknown key' });
+      console.log(`API key ${revoked.id} revoked for ${tenant.id}`);
+      return res.json({ revoked });
+    }
+    return res.status(405).json({ error: 'GET, POST or DELETE only' });
+  } catch (e) {
+    console.error('API key error:', e.message);
+    return res.status(500).json({ error: 'Storage error' });
+  }
+};
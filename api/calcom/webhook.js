@@ -0,0 +1,59 @@
+/**
+ * Cal.com webhook — /api/calcom/webhook.js
+ *
+ * Keeps stored booking-* records in sync when a booking is cancelled or
+ * rescheduled from Cal.com itself (owner's calendar, attendee email links).
+ *
+ * Subscriber URL: https://<deployment>/api/calcom/webhook?tenant=<tenant id>
+ * Signed with the tenant's Cal.com webhook secret (see lib/signature.js).
+ */
+const { getTenant } = require('../../lib/tenants');
+const { updateCall, getCall } = require('../../lib/store');
+const { verifyWebhook } = require('../../lib/signature');
+const { trackWebhook } = require('../../lib/webhook-stats');
+
+module.exports = trackWebhook('calcom', async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const tenant = getTenant(req.query?.tenant);
+  if (!tenant) return res.status(404).json({ error: 'Unknown tenant' });
+
+  const verified = await verifyWebhook(req, 'calcom', tenant);
+  if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
+
+  const { triggerEvent, payload = {} } = verified.body;
+  try {
+    switch (triggerEvent) {
+      case 'BOOKING_CANCELLED': {
+        const updated = await updateCall(tenant, `booking-${payload.bookingId}`, {
+          status: 'cancelled',
+          cancelled_at: new Date().toISOString(),
+          cancel_reason: payload.cancellationReason || 'Cancelled in Cal.com',
+        });
+        return res.json({ ok: true, updated: !!updated });
+      }
+      case 'BOOKING_RESCHEDULED': {
+        // The rescheduled booking gets a new id; ours is keyed by the original
+        const id = `booking-${payload.rescheduleId || payload.bookingId}`;
+        const existing = await getCall(tenant, id);
+        if (!existing) return res.json({ ok: true, updated: false });
+        await updateCall(tenant, id, {
+          status: 'rescheduled',
+          previous_time: existing.time,
+          time: payload.startTime,
+          end_time: payload.endTime,
+          booking_uid: payload.uid || existing.booking_uid,
+        });
+        return res.json({ ok: true, updated: true });
+      }
+      default:
+        return res.json({ ok: true, ignored: triggerEvent });
+    }
+  } catch (err) {
+    console.error('Cal.com webhook error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Signatures are computed over the raw body, so we parse it ourselves
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,50 @@
+/**
+ * GET /api/calls/:id — One call, booking or emergency for the dashboard
+ *
+ * Returns the full record (transcript, recording_url, booking and
+ * escalation details) plus the other records for the same phone number,
+ * newest first, so the detail view can show the customer's history.
+ * Auth and ?tenant work as in /api/calls; related records are returned as
+ * summaries only, so the access log entry covers everything disclosed.
+ */
+const { getStore } = require('../../lib/storage');
+const { recordPhone } = require('../../lib/storage/query');
+const { authenticateRead, logAccess } = require('../../lib/auth');
+const { applyCors } = require('../../lib/cors');
+
+const MAX_RELATED = 20;
+
+// Enough for the history list; the full record is one click away
+function summarize(r) {
+  return {
+    id: r.id, type: r.type, created_at: r.created_at,
+    status: r.status || r.escalation?.status, jobType: r.jobType,
+    summary: r.summary, job: r.job, issue: r.issue, time: r.time,
+  };
+}
+
+module.exports = async function handler(req, res) {
+  const corsAllowed = applyCors(req, res, 'GET, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(corsAllowed ? 204 : 403).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+
+  const auth = await authenticateRead(req);
+  if (!auth.tenant) return res.status(auth.status).json({ error: auth.error });
+
+  const store = getStore(auth.tenant);
+  if (!store) return res.status(503).json({ error: 'Storage not configured' });
+
+  try {
+    const call = await store.get(req.query?.id);
+    if (!call) return res.status(404).json({ error: 'Not found' });
+    const phone = recordPhone(call);
+    const related = phone
+      ? (await store.find({ phone, limit: MAX_RELATED + 1 })).filter(r => r.id !== call.id).slice(0, MAX_RELATED).map(summarize)
+      : [];
+    await logAccess(req, auth, { action: 'calls.get', ids: [call.id] });
+    return res.json({ call, related });
+  } catch (e) {
+    console.error('Storage fetch error:', e.message);
+    return res.status(500).json({ error: 'Storage error' });
+  }
+};
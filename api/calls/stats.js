@@ -0,0 +1,62 @@
+/**
+ * GET /api/calls/stats — Daily counts for the dashboard
+ *
+ * Groups the last ?days=14 (max 90) of records by the tenant's local date:
+ *   { days: [{ date: '2026-10-19', calls, bookings, emergencies, cost }], totals }
+ * cost is the Vapi cost reported on each call. Auth and ?tenant work as in
+ * /api/calls.
+ */
+const { getStore } = require('../../lib/storage');
+const { authenticateRead, logAccess } = require('../../lib/auth');
+const { applyCors } = require('../../lib/cors');
+const { zonedParts, zonedTimeToUtc, addDays, dateKey } = require('../../lib/time');
+
+module.exports = async function handler(req, res) {
+  const corsAllowed = applyCors(req, res, 'GET, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(corsAllowed ? 204 : 403).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+
+  const auth = await authenticateRead(req);
+  if (!auth.tenant) return res.status(auth.status).json({ error: auth.error });
+  const tenant = auth.tenant;
+
+  const store = getStore(tenant);
+  if (!store) return res.status(503).json({ error: 'Storage not configured' });
+
+  const numDays = Math.min(Math.max(parseInt(req.query?.days || '14') || 14, 1), 90);
+  const today = zonedParts(new Date(), tenant.timezone);
+  const firstDay = addDays(today, -(numDays - 1));
+
+  const days = {};
+  for (let i = 0; i < numDays; i++) {
+    days[dateKey(addDays(firstDay, i))] = { date: dateKey(addDays(firstDay, i)), calls: 0, bookings: 0, emergencies: 0, cost: 0 };
+  }
+
+  try {
+    const records = await store.find({ from: zonedTimeToUtc(firstDay, tenant.timezone).toISOString() });
+    for (const r of records) {
+      const day = days[dateKey(zonedParts(new Date(r.created_at), tenant.timezone))];
+      if (!day) continue;
+      if (r.type === 'call') {
+        day.calls++;
+        day.cost += Number(r.cost) || 0;
+      } else if (r.type === 'booking') {
+        day.bookings++;
+      } else if (r.type === 'emergency') {
+        day.emergencies++;
+      }
+    }
+    const list = Object.values(days).map(d => ({ ...d, cost: Math.round(d.cost * 100) / 100 }));
+    const totals = list.reduce((t, d) => ({
+      calls: t.calls + d.calls,
+      bookings: t.bookings + d.bookings,
+      emergencies: t.emergencies + d.emergencies,
+      cost: Math.round((t.cost + d.cost) * 100) / 100,
+    }), { calls: 0, bookings: 0, emergencies: 0, cost: 0 });
+    await logAccess(req, auth, { action: 'calls.stats' });
+    return res.json({ timezone: tenant.timezone, days: list, totals });
+  } catch (e) {
+    console.error('Storage fetch error:', e.message);
+    return res.status(500).json({ error: 'Storage error' });
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * GET /api/cron/escalations — advances emergency escalations
+ *
+ * Run every minute — by Vercel Cron on Pro, or an external scheduler (see
+ * "Scheduled jobs" in the README). Pages the next on-call contact for every
+ * emergency nobody has acknowledged in time, and starts deferred ones at
+ * opening time.
+ *
+ * Env vars: CRON_SECRET (required — sent as a Bearer token)
+ */
+const { loadTenants } = require('../../lib/tenants');
+const { advanceEscalations } = require('../../lib/escalation');
+const { authenticateCron } = require('../../lib/auth');
+
+module.exports = async function handler(req, res) {
+  const denied = authenticateCron(req);
+  if (denied) return res.status(denied.status).json({ error: denied.error });
+  const advanced = {};
+  for (const tenant of loadTenants()) {
+    try {
+      advanced[tenant.id] = await advanceEscalations(tenant);
+    } catch (e) {
+      console.error(`Escalation cron error for ${tenant.id}:`, e.message);
+      advanced[tenant.id] = { error: e.message };
+    }
+  }
+  res.json({ ok: true, advanced });
+};
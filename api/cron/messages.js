@@ -0,0 +1,29 @@
+/**
+ * GET /api/cron/messages — retries texts that failed to send
+ *
+ * Run every minute — by Vercel Cron on Pro, or an external scheduler (see
+ * "Scheduled jobs" in the README). Gives every queued message whose backoff
+ * has run out another attempt (lib/messages.js), for each tenant and for
+ * the early-access lead account.
+ *
+ * Env vars: CRON_SECRET (required — sent as a Bearer token)
+ */
+const { loadTenants } = require('../../lib/tenants');
+const { leadsAccount } = require('../../lib/leads');
+const { retryMessages } = require('../../lib/sms');
+const { authenticateCron } = require('../../lib/auth');
+
+module.exports = async function handler(req, res) {
+  const denied = authenticateCron(req);
+  if (denied) return res.status(denied.status).json({ error: denied.error });
+  const retried = {};
+  for (const account of [...loadTenants(), leadsAccount()]) {
+    try {
+      retried[account.id] = await retryMessages(account);
+    } catch (e) {
+      console.error(`Message retry cron error for ${account.id}:`, e.message);
+      retried[account.id] = { error: e.message };
+    }
+  }
+  res.json({ ok: true, retried });
+};
@@ -0,0 +1,28 @@
+/**
+ * GET /api/cron/retention — deletes call data past its retention period
+ *
+ * Run daily by Vercel Cron (see vercel.json). Removes records older than
+ * each tenant's retentionDays plus their index entries (lib/retention.js),
+ * and does the same for early-access leads (lib/leads.js).
+ *
+ * Env vars: CRON_SECRET (required — Vercel sends it as a Bearer token)
+ */
+const { loadTenants } = require('../../lib/tenants');
+const { leadsAccount } = require('../../lib/leads');
+const { purgeExpired } = require('../../lib/retention');
+const { authenticateCron } = require('../../lib/auth');
+
+module.exports = async function handler(req, res) {
+  const denied = authenticateCron(req);
+  if (denied) return res.status(denied.status).json({ error: denied.error });
+  const purged = {};
+  for (const tenant of [...loadTenants(), leadsAccount()]) {
+    try {
+      purged[tenant.id] = await purgeExpired(tenant);
+    } catch (e) {
+      console.error(`Retention cron error for ${tenant.id}:`, e.message);
+      purged[tenant.id] = { error: e.message };
+    }
+  }
+  res.json({ ok: true, purged });
+};
@@ -0,0 +1,123 @@
+/**
+ * GET /api/health — Verifies all services are connected
+ *
+ * Checks are generated from what's configured:
+ *   config          tenants load, Vapi webhooks are authenticated
+ *   storage         a write/read/delete round trip through lib/storage
+ *   sms:<tenant>    the tenant's Telnyx (or Twilio) number is active and can
+ *                   send (lib/sms.js)
+ *   calendar:<tenant>  the Cal.com event type has open slots coming up
+ *   webhooks:<source>  Vapi / Telnyx / Cal.com traffic over the last hour:
+ *                   error rate and age of the last event (lib/webhook-stats.js)
+ *
+ * Every check runs in parallel with its own timeout, so one slow provider
+ * shows up as a failed check instead of hanging the endpoint. 503 when any
+ * check fails. Hit this after deploy to make sure everything's wired up;
+ * use /api/health/live for uptime pings.
+ *
+ * Auth: Authorization: Bearer <ADMIN_API_KEY> — the report names every
+ * tenant, number and event type, and each hit calls the providers.
+ *
+ * Env vars: HEALTH_CHECK_TIMEOUT_MS (optional — per check, default 5000)
+ */
+const crypto = require('crypto');
+const { loadTenants } = require('../../lib/tenants');
+const { getStore, storageDriver } = require('../../lib/storage');
+const { checkSMS } = require('../../lib/sms');
+const { checkCalendar } = require('../../lib/calcom');
+const { webhookStats, systemAccount, WINDOW_MINUTES } = require('../../lib/webhook-stats');
+const { authenticateAdmin } = require('../../lib/auth');
+
+const WEBHOOK_SOURCES = ['vapi', 'telnyx', 'calcom'];
+// Fail webhooks:<source> above this share of 5xx, once there's enough traffic to judge
+const MAX_ERROR_RATE = 0.1;
+const MIN_EVENTS = 5;
+
+function checkTimeout() {
+  return Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 5000;
+}
+
+// Runs one check → { ok, message, ms, ...details }; throws and timeouts become failures
+async function runCheck(fn) {
+  const started = Date.now();
+  const ms = checkTimeout();
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({ ok: false, message: `Timed out after ${ms}ms` }), ms);
+  });
+  try {
+    const result = await Promise.race([fn(), timeout]);
+    return { ...result, ms: Date.now() - started };
+  } catch (e) {
+    return { ok: false, message: e.message, ms: Date.now() - started };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function checkConfig(tenants) {
+  const problems = [];
+  if (!tenants.length) problems.push('no tenants — set TENANTS, TENANTS_FILE or the legacy BUSINESS_NAME vars');
+  const signed = Boolean(process.env.VAPI_SIGNING_SECRET);
+  if (!signed && !process.env.VAPI_SECRET) problems.push('VAPI_SIGNING_SECRET not set — Vapi webhooks are accepted unsigned');
+  return problems.length
+    ? { ok: false, message: problems.join('; ') }
+    : { ok: true, message: `${tenants.length} tenant${tenants.length === 1 ? '' : 's'}, Vapi webhooks ${signed ? 'signed' : 'checked by the legacy VAPI_SECRET'}` };
+}
+
+async function checkStorage() {
+  const store = getStore(systemAccount());
+  if (!store) {
+    return { ok: false, message: 'Not configured — set KV or DATA_DIR or call records will not be saved' };
+  }
+  const key = 'health:probe';
+  const token = crypto.randomBytes(8).toString('hex');
+  await store.setValue(key, token, { ttlSeconds: 60 });
+  const read = await store.getValue(key);
+  await store.deleteValue(key);
+  return read === token
+    ? { ok: true, message: `Read/write OK (${storageDriver()})` }
+    : { ok: false, message: `Wrote a value but read back ${JSON.stringify(read)} (${storageDriver()})` };
+}
+
+async function checkWebhooks(source) {
+  const stats = await webhookStats(source);
+  if (!stats) return { ok: false, message: 'No storage — webhook traffic is not tracked' };
+  const age = stats.last_event_age_seconds;
+  const last = age === null ? 'never received' : `last ${age}s ago (HTTP ${stats.last_status})`;
+  const failing = stats.events >= MIN_EVENTS && stats.error_rate > MAX_ERROR_RATE;
+  return {
+    ok: !failing,
+    message: `${stats.errors}/${stats.events} errors in the last ${WINDOW_MINUTES} min, ${last}`,
+    ...stats,
+  };
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+  if (!authenticateAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  const tenants = loadTenants();
+  const checks = {
+    config: () => checkConfig(tenants),
+    storage: checkStorage,
+  };
+  for (const tenant of tenants) {
+    if (tenant.telnyx.phoneNumber || tenant.twilio.phoneNumber) checks[`sms:${tenant.id}`] = () => checkSMS(tenant);
+    if (tenant.calcom.apiKey || tenant.calcom.eventTypeId) checks[`calendar:${tenant.id}`] = () => checkCalendar(tenant);
+  }
+  for (const source of WEBHOOK_SOURCES) checks[`webhooks:${source}`] = () => checkWebhooks(source);
+
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(name => runCheck(checks[name])));
+  const status = {
+    service: 'ai-answering-service',
+    timestamp: new Date().toISOString(),
+    checks: Object.fromEntries(names.map((name, i) => [name, results[i]])),
+  };
+
+  const allOk = results.every(c => c.ok);
+  status.overall = allOk ? 'READY' : 'ISSUES_FOUND';
+
+  res.status(allOk ? 200 : 503).json(status);
+};
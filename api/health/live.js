@@ -0,0 +1,11 @@
+/**
+ * GET /api/health/live — Liveness probe
+ *
+ * Answers without touching storage or any provider, so it's cheap enough for
+ * an uptime monitor to hit every minute. For the deep checks see /api/health.
+ */
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return res.status(405).json({ error: 'GET only' });
+  res.json({ ok: true, service: 'ai-answering-service', timestamp: new Date().toISOString() });
+};
@@ -0,0 +1,49 @@
+/**
+ * POST /api/leads — "Get Early Access" signups from index.html
+ *
+ * Body (JSON or form-encoded): { name, business, phone, email?, consent_version, website }
+ *   website is a honeypot — hidden from people, filled in by bots. Those
+ *   submissions get a normal-looking 200 and are dropped.
+ *
+ * Rate limited per IP. Responses:
+ *   200 { ok: true }                    saved (or a repeat of an earlier signup)
+ *   400 { error, fields: { phone: ... } }
+ *   429 { error }                       too many submissions from this IP
+ */
+const { validateLead, captureLead, leadsAccount } = require('../lib/leads');
+const { getStore } = require('../lib/storage');
+const { rateLimit } = require('../lib/ratelimit');
+const { clientIp } = require('../lib/auth');
+
+const RATE_LIMIT = { limit: 5, windowSeconds: 3600 };
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const body = typeof req.body === 'object' && req.body ? req.body : {};
+  if (body.website) {
+    console.warn('Lead honeypot tripped from:', clientIp(req));
+    return res.json({ ok: true });
+  }
+
+  const store = getStore(leadsAccount());
+  if (!store) return res.status(503).json({ error: 'Storage not configured' });
+
+  const ip = clientIp(req);
+  try {
+    const limited = await rateLimit(store, `leads:${ip || 'unknown'}`, RATE_LIMIT);
+    if (!limited.allowed) {
+      res.setHeader('Retry-After', String(limited.retryAfterSeconds));
+      return res.status(429).json({ error: 'Too many submissions — please try again later' });
+    }
+
+    const { lead, errors } = validateLead(body);
+    if (Object.keys(errors).length) return res.status(400).json({ error: 'Please check the highlighted fields', fields: errors });
+
+    await captureLead(lead, { ip, userAgent: req.headers?.['user-agent'] || null });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error('Lead capture error:', e.message);
+    return res.status(500).json({ error: 'Something went wrong — please try again' });
+  }
+};
@@ -0,0 +1,92 @@
+/**
+ * Telnyx inbound SMS — /api/telnyx/inbound.js
+ *
+ * Point the Telnyx messaging profile's inbound webhook here.
+ * Handles message.received events:
+ *   ACK                      → acknowledge a running emergency escalation
+ *   booking replies          → reschedule / cancel (lib/booking-replies.js)
+ *   STOP / UNSUBSCRIBE / ... → add sender to the tenant's suppression list
+ *   START / UNSTOP           → remove sender from the suppression list
+ *   HELP / INFO              → send the HELP auto-reply
+ *   anything else            → forward to the owner
+ *
+ * Delivery receipts (message.sent / message.finalized) for texts sent
+ * without a per-message webhook_url arrive here too and update the message
+ * log (lib/delivery-receipts.js).
+ *
+ * The tenant is resolved from the number that received the text. Texts to
+ * LEADS_SMS_FROM go to the early-access leads account (lib/leads.js), which
+ * only has the keyword replies and forwarding.
+ * Signed with Telnyx's Ed25519 key when TELNYX_PUBLIC_KEY is set.
+ */
+const { resolveTenant, renderTemplate } = require('../../lib/tenants');
+const { sendSMS, normalizePhone } = require('../../lib/sms');
+const { setOptedOut, matchKeyword } = require('../../lib/optout');
+const { handleBookingReply } = require('../../lib/booking-replies');
+const { acknowledge } = require('../../lib/escalation');
+const { verifyWebhook } = require('../../lib/signature');
+const { trackWebhook } = require('../../lib/webhook-stats');
+const { maskPhone } = require('../../lib/redact');
+const { isDeliveryEvent, handleDeliveryEvent } = require('../../lib/delivery-receipts');
+const { leadsAccount, isLeadsNumber } = require('../../lib/leads');
+
+module.exports = trackWebhook('telnyx', async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const verified = await verifyWebhook(req, 'telnyx');
+  if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
+
+  const event = verified.body?.data;
+  if (isDeliveryEvent(event)) {
+    try {
+      return res.json({ ok: true, ...(await handleDeliveryEvent(event)) });
+    } catch (err) {
+      console.error('Delivery receipt error:', err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+  if (event?.event_type !== 'message.received') return res.json({ ok: true, ignored: event?.event_type });
+
+  const payload = event.payload || {};
+  const from = payload.from?.phone_number;
+  const to = payload.to?.[0]?.phone_number;
+  const text = payload.text || '';
+  const isLeads = isLeadsNumber(to);
+  const tenant = isLeads ? leadsAccount() : resolveTenant({ phoneNumber: to });
+  if (!tenant || !from) {
+    console.warn('Inbound SMS for unknown number:', to);
+    return res.json({ ok: true, ignored: 'unknown tenant' });
+  }
+
+  const vars = { business_name: tenant.businessName, owner_name: tenant.ownerName };
+  try {
+    if (!isLeads && /^\s*ack\b/i.test(text) && await acknowledge(tenant, from)) return res.json({ ok: true, action: 'acknowledged' });
+    if (!isLeads && await handleBookingReply(tenant, from, text)) return res.json({ ok: true, action: 'booking_reply' });
+    switch (matchKeyword(text)) {
+      case 'stop':
+        await setOptedOut(tenant, from, true);
+        console.log(`OPT_OUT: ${maskPhone(from)} from ${tenant.id}`);
+        await sendSMS(tenant, from, renderTemplate(tenant.sms.optOutConfirmation, vars), { skipOptOutCheck: true });
+        return res.json({ ok: true, action: 'opt_out' });
+      case 'start':
+        await setOptedOut(tenant, from, false);
+        console.log(`OPT_IN: ${maskPhone(from)} to ${tenant.id}`);
+        await sendSMS(tenant, from, renderTemplate(tenant.sms.optInConfirmation, vars));
+        return res.json({ ok: true, action: 'opt_in' });
+      case 'help':
+        await sendSMS(tenant, from, renderTemplate(tenant.sms.help, vars), { skipOptOutCheck: true });
+        return res.json({ ok: true, action: 'help' });
+      default:
+        // Don't bounce the owner's own texts back to them
+        if (!tenant.ownerPhone || normalizePhone(from) === normalizePhone(tenant.ownerPhone)) return res.json({ ok: true, action: 'ignored' });
+        await sendSMS(tenant, tenant.ownerPhone, `💬 Reply from ${normalizePhone(from)}:\n${text}`, { about: from });
+        return res.json({ ok: true, action: 'forwarded' });
+    }
+  } catch (err) {
+    console.error('Inbound SMS error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Signatures are computed over the raw body, so we parse it ourselves
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,33 @@
+/**
+ * Telnyx delivery receipts — /api/telnyx/status.js
+ *
+ * Every text we send through Telnyx carries
+ * webhook_url=<PUBLIC_BASE_URL>/api/telnyx/status?account=<tenant id>, so its
+ * message.sent / message.finalized events land here and update the
+ * message log (see lib/delivery-receipts.js).
+ *
+ * Signed with Telnyx's Ed25519 key when TELNYX_PUBLIC_KEY is set.
+ */
+const { verifyWebhook } = require('../../lib/signature');
+const { trackWebhook } = require('../../lib/webhook-stats');
+const { isDeliveryEvent, handleDeliveryEvent } = require('../../lib/delivery-receipts');
+
+module.exports = trackWebhook('telnyx', async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const verified = await verifyWebhook(req, 'telnyx');
+  if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
+
+  const event = verified.body?.data;
+  if (!isDeliveryEvent(event)) return res.json({ ok: true, ignored: event?.event_type });
+  try {
+    const result = await handleDeliveryEvent(event, { accountId: req.query?.account });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('Delivery receipt error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Signatures are computed over the raw body, so we parse it ourselves
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,21 @@
+/**
+ * GET /api/vapi/tools — The assistant's tool definitions, in Vapi's format
+ *
+ * Generated from the tool registry (lib/tools), so paste the response's
+ * `tools` into the assistant's model.tools (or PATCH it in via the Vapi
+ * API) whenever a tool changes, and the assistant can't drift from the code.
+ * Every tool points at this deployment's /api/vapi/webhook.
+ *
+ * Auth: Authorization: Bearer <ADMIN_API_KEY>
+ * Env vars: PUBLIC_BASE_URL (optional — defaults to the request's host)
+ */
+const { authenticateAdmin } = require('../../lib/auth');
+const { vapiToolDefinitions } = require('../../lib/tools');
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+  if (!authenticateAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  const baseUrl = process.env.PUBLIC_BASE_URL || `https://${req.headers.host}`;
+  return res.json({ tools: vapiToolDefinitions({ serverUrl: `${baseUrl}/api/vapi/webhook` }) });
+};
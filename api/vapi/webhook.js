@@ -2,255 +2,74 @@
  * Vapi Webhook — /api/vapi/webhook.js
  *
  * Handles 3 types of Vapi events:
- * 1. function-call → routes to check_availability, book_appointment, send_emergency_alert
+ * 1. tool calls (toolCallList / toolCalls, or the legacy function-call) → the
+ *    tool registry (lib/tools): check_availability, book_appointment,
+ *    send_emergency_alert, lookup_caller, get_business_status, get_quote,
+ *    check_service_area
  * 2. end-of-call-report → stores call data for dashboard
  * 3. status-update → logs call lifecycle events
  *
+ * Vapi retries webhooks, so tool calls (by toolCallId) and end-of-call
+ * reports (by call id) run once; retries get the stored result back
+ * (lib/idempotency.js). Every response is counted for /api/health
+ * (lib/webhook-stats.js).
+ *
+ * Every request is resolved to a tenant (see lib/tenants.js) by the Vapi
+ * assistant ID or the dialed number, and all business config comes from it.
+ *
  * Env vars needed:
- *   TELNYX_API_KEY, TELNYX_PHONE_NUMBER
- *   CALCOM_API_KEY, CALCOM_EVENT_TYPE_ID
- *   OWNER_PHONE_NUMBER, OWNER_NAME, BUSINESS_NAME
- *   VAPI_SECRET (optional but recommended — set in Vapi dashboard + env vars)
- *   TIMEZONE (defaults to America/Chicago)
+ *   TELNYX_API_KEY
+ *   TENANTS or TENANTS_FILE (or the legacy single-business vars:
+ *     BUSINESS_NAME, OWNER_NAME, OWNER_PHONE_NUMBER, TELNYX_PHONE_NUMBER,
+ *     CALCOM_API_KEY, CALCOM_EVENT_TYPE_ID, TIMEZONE)
+ *   VAPI_SIGNING_SECRET (optional but recommended — HMAC signing secret, see lib/signature.js)
+ *   VAPI_SIGNING_SECRET_PREVIOUS (optional — still accepted while rotating it)
+ *   VAPI_SECRET (legacy — plain x-vapi-secret header, accepted while migrating)
  */
+const crypto = require('crypto');
+const { resolveTenantFromVapi, renderTemplate } = require('../../lib/tenants');
+const { sendSMS } = require('../../lib/sms');
+const { notify } = require('../../lib/notify');
+const { storeCall, updateCall } = require('../../lib/store');
+const { verifyWebhook } = require('../../lib/signature');
+const { trackWebhook } = require('../../lib/webhook-stats');
+const { getCallerHistory } = require('../../lib/callers');
+const { getToolCalls, determineOutcome } = require('../../lib/outcome');
+const { getBusinessStatus } = require('../../lib/hours');
+const { formatRelative } = require('../../lib/time');
+const { once } = require('../../lib/idempotency');
+const { runTool } = require('../../lib/tools');
  
-// ── Telnyx SMS client (no SDK needed — plain fetch) ──
-const TELNYX_API_KEY = process.env.TELNYX_API_KEY;
-const TELNYX_PHONE_NUMBER = process.env.TELNYX_PHONE_NUMBER;
- 
-// ── In-memory call store (Vercel serverless = ephemeral, but we persist to KV if available) ──
-// For MVP: calls are stored in Vercel KV. If no KV, falls back to returning empty.
-// Upgrade path: Supabase or PlanetScale for persistent storage.
-async function storeCall(callData) {
-  // Try Vercel KV first
-  if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
-    try {
-      const key = `call:${callData.id || Date.now()}`;
-      await fetch(`${process.env.KV_REST_API_URL}/set/${key}`, {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${process.env.KV_REST_API_TOKEN}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ value: JSON.stringify(callData), ex: 2592000 }) // 30 day TTL
-      });
-      // Add to recent calls list
-      await fetch(`${process.env.KV_REST_API_URL}/lpush/recent_calls`, {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${process.env.KV_REST_API_TOKEN}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ value: key })
-      });
-      // Trim list to 200 most recent
-      await fetch(`${process.env.KV_REST_API_URL}/ltrim/recent_calls/0/199`, {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${process.env.KV_REST_API_TOKEN}` },
-      });
-      return true;
-    } catch (e) {
-      console.error('KV store error:', e.message);
-    }
-  }
-  // Fallback: just log it. Dashboard will show placeholder data.
-  console.log('CALL_DATA:', JSON.stringify(callData));
-  return false;
-}
- 
-// ── SMS Helper (Telnyx) ──
-async function sendSMS(to, body) {
-  if (!TELNYX_API_KEY || !TELNYX_PHONE_NUMBER) {
-    console.error('Telnyx env vars missing');
-    return false;
-  }
-  let normalized = String(to).replace(/\D/g, '');
-  if (normalized.length === 10) normalized = '1' + normalized;
-  if (!normalized.startsWith('+')) normalized = '+' + normalized;
-  try {
-    const res = await fetch('https://api.telnyx.com/v2/messages', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${TELNYX_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        from: TELNYX_PHONE_NUMBER,
-        to: normalized,
-        text: body
-      })
-    });
-    const data = await res.json();
-    if (res.ok) {
-      console.log(`SMS sent to ${normalized}: ${data?.data?.id}`);
-      return true;
-    } else {
-      console.error(`SMS failed to ${normalized}:`, JSON.stringify(data));
-      return false;
-    }
-  } catch (e) {
-    console.error(`SMS failed to ${normalized}:`, e.message);
-    return false;
-  }
-}
- 
-// ── Cal.com Availability ──
-// Cal.com v2 uses /v2/slots/available, but v1 is still supported for most plans.
-// We try v2 first, fall back to v1.
-async function getAvailability(preferredDate, urgency) {
-  const now = new Date();
-  const days = urgency === 'emergency' ? 2 : 7;
-  const startTime = now.toISOString();
-  const endTime = new Date(now.getTime() + days * 86400000).toISOString();
-  // Try v2 endpoint first
-  let data;
-  try {
-    const v2Res = await fetch(
-      `https://api.cal.com/v2/slots/available?startTime=${startTime}&endTime=${endTime}&eventTypeId=${process.env.CALCOM_EVENT_TYPE_ID}`,
-      { headers: { Authorization: `Bearer ${process.env.CALCOM_API_KEY}`, 'cal-api-version': '2024-08-13' } }
-    );
-    if (v2Res.ok) {
-      data = await v2Res.json();
-    }
-  } catch (e) { /* fall through to v1 */ }
-  // Fallback to v1
-  if (!data || !data.data) {
-    try {
-      const v1Res = await fetch(
-        `https://api.cal.com/v1/availability?apiKey=${process.env.CALCOM_API_KEY}&eventTypeId=${process.env.CALCOM_EVENT_TYPE_ID}&startTime=${startTime}&endTime=${endTime}`
-      );
-      data = await v1Res.json();
-    } catch (e) {
-      console.error('Cal.com availability error:', e.message);
-      return { available: false, message: "I'm having trouble checking the calendar right now. Let me have " + process.env.OWNER_NAME + " call you back to schedule." };
-    }
-  }
-  // Parse slots — handle both v1 and v2 response shapes
-  const slotsObj = data?.data?.slots || data?.slots || {};
-  if (!Object.keys(slotsObj).length) {
-    return { available: false, message: "No openings this week. I'll have " + process.env.OWNER_NAME + " call you to find a time." };
-  }
-  const slots = Object.entries(slotsObj).flatMap(([_, times]) => {
-    const arr = Array.isArray(times) ? times : [];
-    return arr.map(s => {
-      const dt = new Date(s.time || s);
-      return {
-        display: `${dt.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })} at ${dt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`,
-        iso: (s.time || s),
-      };
-    });
-  }).slice(0, 3);
-  return { available: true, slots, message: `I've got: ${slots.map(s => s.display).join(', ')}. Which works best?` };
-}
- 
-// ── Book Appointment ──
-async function bookAppointment(params) {
-  const tz = process.env.TIMEZONE || 'America/Chicago';
-  const timeStr = new Date(params.appointment_time).toLocaleString('en-US', {
-    weekday: 'long', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
-    timeZone: tz
-  });
-  // Try v2 first
-  let result;
-  try {
-    const v2Res = await fetch('https://api.cal.com/v2/bookings', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${process.env.CALCOM_API_KEY}`,
-        'Content-Type': 'application/json',
-        'cal-api-version': '2024-08-13'
-      },
-      body: JSON.stringify({
-        eventTypeId: parseInt(process.env.CALCOM_EVENT_TYPE_ID),
-        start: params.appointment_time,
-        attendee: {
-          name: params.caller_name,
-          email: `${params.phone.replace(/\D/g, '')}@leads.callcovered.com`,
-          phoneNumber: params.phone,
-          timeZone: tz
-        },
-        metadata: {
-          source: 'ai-answering-service',
-          jobDescription: params.job_description,
-          address: params.address || 'TBD',
-          urgency: params.urgency || 'normal'
-        }
-      }),
-    });
-    if (v2Res.ok) result = await v2Res.json();
-  } catch (e) { /* fall through */ }
-  // Fallback to v1
-  if (!result || (!result.data && !result.id)) {
-    try {
-      const v1Res = await fetch(`https://api.cal.com/v1/bookings?apiKey=${process.env.CALCOM_API_KEY}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          eventTypeId: parseInt(process.env.CALCOM_EVENT_TYPE_ID),
-          start: params.appointment_time,
-          responses: {
-            name: params.caller_name,
-            email: `${params.phone.replace(/\D/g, '')}@leads.callcovered.com`,
-            phone: params.phone,
-            notes: `Job: ${params.job_description}\nAddress: ${params.address || 'TBD'}\nUrgency: ${params.urgency || 'normal'}`,
-          },
-          metadata: { source: 'ai-answering-service' },
-        }),
-      });
-      result = await v1Res.json();
-    } catch (e) {
-      console.error('Cal.com booking error:', e.message);
-      return { success: false, message: "The booking system had a hiccup. I'll have " + process.env.OWNER_NAME + " call you to confirm." };
-    }
-  }
-  const bookingId = result?.data?.id || result?.id;
-  if (bookingId) {
-    // Fire both SMS in parallel
-    const [customerSent, ownerSent] = await Promise.all([
-      sendSMS(params.phone,
-        `Hi ${params.caller_name}! Your estimate with ${process.env.BUSINESS_NAME} is confirmed for ${timeStr}. Reply to this text if you need to reschedule.`
-      ),
-      sendSMS(process.env.OWNER_PHONE_NUMBER,
-        `📋 NEW BOOKING\n${params.caller_name} — ${params.phone}\n${params.job_description}\n📍 ${params.address || 'N/A'}\n📅 ${timeStr}\n\nBooking #${bookingId}`
-      ),
-    ]);
-    // Store booking event
-    await storeCall({
-      id: `booking-${bookingId}`,
-      type: 'booking',
-      caller_name: params.caller_name,
-      phone: params.phone,
-      job: params.job_description,
-      address: params.address,
-      time: params.appointment_time,
-      sms_customer: customerSent,
-      sms_owner: ownerSent,
-      created_at: new Date().toISOString()
-    });
-    let msg = `Booked for ${timeStr}. Confirmation texts sent.`;
-    if (!customerSent) msg = `Booked for ${timeStr}. I sent ${process.env.OWNER_NAME} the details — they'll confirm with you directly.`;
-    return { success: true, message: msg };
-  }
-  return { success: false, message: "The booking didn't go through. I'll have " + process.env.OWNER_NAME + " call you back to schedule." };
+// A retry arrived while the first attempt is still running
+const STILL_WORKING = "I'm still working on that — give me just a moment.";
+
+// Stable key for a legacy function call's arguments
+function hashArgs(args) {
+  return crypto.createHash('sha256').update(JSON.stringify(args || {})).digest('hex').slice(0, 16);
 }
  
 // ── Main Handler ──
-module.exports = async function handler(req, res) {
-  // CORS for dashboard fetches
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  if (req.method === 'OPTIONS') return res.status(200).end();
+module.exports = trackWebhook('vapi', async function handler(req, res) {
+  // Server-to-server only: no CORS, so browsers can't call this cross-site
   if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
-  // ── Security: Verify Vapi secret to prevent unauthorized access ──
-  if (process.env.VAPI_SECRET) {
-    const incomingSecret = req.headers['x-vapi-secret'] || req.headers['x-vapi-signature'];
-    if (incomingSecret !== process.env.VAPI_SECRET) {
-      console.warn('Unauthorized webhook attempt from:', req.headers['x-forwarded-for'] || 'unknown');
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-  }
+  // ── Security: HMAC signature + timestamp check (lib/signature.js) ──
+  const verified = await verifyWebhook(req, 'vapi');
+  if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
+  const body = verified.body;
   try {
-    const { message } = req.body;
-    console.log('WEBHOOK_RAW:', JSON.stringify(Object.keys(req.body || {})));
+    const { message } = body;
+    console.log('WEBHOOK_RAW:', JSON.stringify(Object.keys(body || {})));
+    const tenant = resolveTenantFromVapi(message);
+    if (!tenant) {
+      console.warn('No tenant for assistant/number:', message?.call?.assistantId, message?.phoneNumber?.number);
+      return res.status(404).json({ error: 'Unknown tenant' });
+    }
+    // Both tool call formats run through the registry (lib/tools)
+    const ctx = { callId: message?.call?.id, customerNumber: message?.call?.customer?.number };
     // ── Custom Tool calls from Vapi ──
     // Handle both formats: older toolCallList and newer toolCalls
     const toolCallList = message?.toolCallList || message?.toolCalls ||
-                         req.body?.toolCallList || req.body?.toolCalls || null;
+                         body?.toolCallList || body?.toolCalls || null;
  
     console.log('TOOL_CALL_CHECK:', JSON.stringify({ type: message?.type, hasToolCallList: !!message?.toolCallList, hasToolCalls: !!message?.toolCalls }));
  
@@ -258,45 +77,9 @@ module.exports = async function handler(req, res) {
       const toolCalls = toolCallList;
       const results = [];
       for (const tc of toolCalls) {
-        const fnName = tc.function?.name;
-        const params = typeof tc.function?.arguments === 'string'
-          ? JSON.parse(tc.function.arguments)
-          : tc.function?.arguments || {};
-        let resultMsg = '';
-        switch (fnName) {
-          case 'check_availability':
-            const avail = await getAvailability(params.preferred_date, params.urgency || 'flexible');
-            resultMsg = avail.message;
-            break;
-          case 'book_appointment':
-            if (!params.caller_name || !params.phone || !params.appointment_time) {
-              resultMsg = "I need a few more details before booking. Could you confirm your name, number, and preferred time?";
-            } else {
-              const booking = await bookAppointment(params);
-              resultMsg = booking.message;
-            }
-            break;
-          case 'send_emergency_alert': {
-            const alertSent = await sendSMS(process.env.OWNER_PHONE_NUMBER,
-              `🚨 EMERGENCY CALL\n${params.caller_name || 'Caller'} — ${params.phone}\n${params.issue}\n📍 ${params.address || 'No address given'}\n\nCall back ASAP!`
-            );
-            await storeCall({
-              id: `emergency-${Date.now()}`,
-              type: 'emergency',
-              caller_name: params.caller_name,
-              phone: params.phone,
-              issue: params.issue,
-              address: params.address,
-              alert_sent: alertSent,
-              created_at: new Date().toISOString()
-            });
-            resultMsg = `I've sent an urgent alert to ${process.env.OWNER_NAME}. They'll call you right back.`;
-            break;
-          }
-          default:
-            resultMsg = `Unknown function: ${fnName}`;
-        }
-        results.push({ toolCallId: tc.id, result: resultMsg });
+        // Retries of the same tool call replay the first result (lib/idempotency.js)
+        const run = await once(tenant, tc.id && `tool:${tc.id}`, () => runTool(tenant, tc.function?.name, tc.function?.arguments, ctx));
+        results.push({ toolCallId: tc.id, result: run.pending ? STILL_WORKING : run.result.message });
       }
       return res.json({ results });
     }
@@ -304,90 +87,89 @@ module.exports = async function handler(req, res) {
     if (message?.type === 'function-call') {
       const fn = message.functionCall;
       if (!fn?.name) return res.status(400).json({ error: 'Missing function name' });
-      let result;
-      switch (fn.name) {
-        case 'check_availability':
-          result = await getAvailability(fn.parameters?.preferred_date, fn.parameters?.urgency || 'flexible');
-          break;
-        case 'book_appointment':
-          if (!fn.parameters?.caller_name || !fn.parameters?.phone || !fn.parameters?.appointment_time) {
-            result = { success: false, message: "I need a few more details before booking. Could you confirm your name, number, and preferred time?" };
-          } else {
-            result = await bookAppointment(fn.parameters);
-          }
-          break;
-        case 'send_emergency_alert': {
-          const alertSent = await sendSMS(process.env.OWNER_PHONE_NUMBER,
-            `🚨 EMERGENCY CALL\n${fn.parameters?.caller_name || 'Caller'} — ${fn.parameters?.phone}\n${fn.parameters?.issue}\n📍 ${fn.parameters?.address || 'No address given'}\n\nCall back ASAP!`
-          );
-          await storeCall({
-            id: `emergency-${Date.now()}`,
-            type: 'emergency',
-            caller_name: fn.parameters?.caller_name,
-            phone: fn.parameters?.phone,
-            issue: fn.parameters?.issue,
-            address: fn.parameters?.address,
-            alert_sent: alertSent,
-            created_at: new Date().toISOString()
-          });
-          result = { success: true, message: `I've sent an urgent alert to ${process.env.OWNER_NAME}. They'll call you right back.` };
-          break;
-        }
-        default:
-          result = { error: `Unknown function: ${fn.name}` };
-      }
-      return res.json({ result });
+      // No tool call id in this format: the call, function and arguments identify a retry
+      const key = message.call?.id && `fn:${message.call.id}:${fn.name}:${hashArgs(fn.parameters)}`;
+      const run = await once(tenant, key, () => runTool(tenant, fn.name, fn.parameters, ctx));
+      return res.json({ result: run.pending ? { message: STILL_WORKING } : run.result });
     }
     // ── End of call report — store for dashboard ──
     if (message?.type === 'end-of-call-report') {
       const report = message;
-      const transcript = report.transcript || '';
-      const summary = report.summary || '';
-      const wasBooked = summary.toLowerCase().includes('booked') ||
-                        summary.toLowerCase().includes('confirmed') ||
-                        summary.toLowerCase().includes('scheduled');
-      const wasEmergency = summary.toLowerCase().includes('emergency') ||
-                           summary.toLowerCase().includes('urgent');
-      const callRecord = {
-        id: report.call?.id || `call-${Date.now()}`,
-        type: 'call',
-        customerName: report.call?.customer?.name || 'Unknown Caller',
-        phoneNumber: report.call?.customer?.number || 'unknown',
-        status: wasEmergency ? 'Emergency' : wasBooked ? 'Booked' : 'Completed',
-        jobType: 'Inbound Call',
-        estimateBooked: wasBooked,
-        duration: report.durationSeconds || 0,
-        summary: summary,
-        transcript: transcript,
-        recording_url: report.recordingUrl || '',
-        ended_reason: report.endedReason || '',
-        cost: report.cost || 0,
-        timestamp: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
-        created_at: report.call?.createdAt || new Date().toISOString()
-      };
-      await storeCall(callRecord);
+      // A retried report must not store the call or text anyone twice
+      const run = await once(tenant, report.call?.id && `report:${report.call.id}`, async () => {
+        const transcript = report.transcript || '';
+        const summary = report.summary || '';
+        // Tool calls and structured data first; summary keywords only as a fallback
+        const toolCalls = await getToolCalls(tenant, report.call?.id);
+        const outcome = determineOutcome(tenant, report, toolCalls);
+        // Prices quoted and addresses checked during the call (lib/catalog.js)
+        const quotes = toolCalls.filter(t => t.quote).map(t => t.quote);
+        const serviceArea = toolCalls.filter(t => t.service_area).map(t => t.service_area);
+        const wasBooked = outcome.booked;
+        const wasEmergency = outcome.emergency;
+        const callRecord = {
+          id: report.call?.id || `call-${Date.now()}`,
+          type: 'call',
+          customerName: report.call?.customer?.name || 'Unknown Caller',
+          phoneNumber: report.call?.customer?.number || 'unknown',
+          status: wasEmergency ? 'Emergency' : wasBooked ? 'Booked' : 'Completed',
+          jobType: outcome.jobType,
+          estimateBooked: wasBooked,
+          outcome_sources: outcome.sources,
+          quotes,
+          service_area_checks: serviceArea,
+          // Only when the caller left without a booking — a second, in-area
+          // address may have been booked after the first was refused
+          out_of_area: !wasBooked && serviceArea.some(a => a.in_area === false),
+          duration: report.durationSeconds || 0,
+          summary: summary,
+          transcript: transcript,
+          recording_url: report.recordingUrl || '',
+          ended_reason: report.endedReason || '',
+          cost: report.cost || 0,
+          timestamp: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+          created_at: report.call?.createdAt || new Date().toISOString()
+        };
+        // Look the caller up before this call is saved so it isn't counted
+        const history = await getCallerHistory(tenant, callRecord.phoneNumber, { excludeId: callRecord.id });
+        if (callRecord.customerName === 'Unknown Caller' && history.name) callRecord.customerName = history.name;
+        await storeCall(tenant, callRecord);
  
-      // ── SMS alert to owner on every call ──
-      const callerPhone = callRecord.phoneNumber !== 'unknown' ? callRecord.phoneNumber : 'unknown number';
-      const duration = Math.round(callRecord.duration);
-      const emoji = wasEmergency ? '🚨' : wasBooked ? '📋' : '📞';
-      const status = wasEmergency ? 'EMERGENCY' : wasBooked ? 'BOOKED' : 'NEW LEAD';
+        // ── Owner notification on every call (call_summary channels) ──
+        const callerPhone = callRecord.phoneNumber !== 'unknown' ? callRecord.phoneNumber : 'unknown number';
+        const duration = Math.round(callRecord.duration);
+        const hours = getBusinessStatus(tenant);
+        const emoji = wasEmergency ? '🚨' : wasBooked ? '📋' : '📞';
+        const status = wasEmergency ? 'EMERGENCY' : wasBooked ? 'BOOKED' : 'NEW LEAD';
  
-      // Build transcript snippet (first 300 chars)
-      const snippet = transcript.replace(/\n/g, ' ').slice(0, 300);
+        // Build transcript snippet (first 300 chars)
+        const snippet = transcript.replace(/\n/g, ' ').slice(0, 300);
+        const returning = history.priorCalls
+          ? `\nReturning customer (${history.priorCalls} prior call${history.priorCalls === 1 ? '' : 's'})${history.name ? ` — ${history.name}` : ''}`
+          : '';
+        const quoted = quotes.length ? `\nQuoted: ${quotes.map(q => `${q.service} $${q.price_min}–$${q.price_max}`).join(', ')}` : '';
+        const outside = callRecord.out_of_area ? '\n⚠️ Address outside service area — not booked' : '';
  
-      await sendSMS(process.env.OWNER_PHONE_NUMBER,
-        `${emoji} ${status} — CallCovered\nFrom: ${callerPhone}\nDuration: ${duration}s\n\n${snippet}${snippet.length >= 300 ? '...' : ''}`
-      );
+        await notify(tenant, 'call_summary', {
+          subject: `${status} — call from ${callerPhone}${hours.open ? '' : ' (after hours)'}`,
+          text: `${emoji} ${status} — CallCovered${hours.open ? '' : ' (after hours)'}\nFrom: ${callerPhone}${returning}\nDuration: ${duration}s${quoted}${outside}\n\n${snippet}${snippet.length >= 300 ? '...' : ''}`,
+          data: { call_id: callRecord.id, status: callRecord.status, job_type: callRecord.jobType, phone: callRecord.phoneNumber, duration, after_hours: !hours.open, summary, quotes, out_of_area: callRecord.out_of_area },
+          about: callRecord.phoneNumber,
+        });
  
-      // ── SMS confirmation to customer on every call ──
-      if (callRecord.phoneNumber && callRecord.phoneNumber !== 'unknown') {
-        await sendSMS(callRecord.phoneNumber,
-          `Hi! Thanks for calling ${process.env.BUSINESS_NAME}. We got your message and ${process.env.OWNER_NAME} will be in touch with you shortly. - CallCovered`
-        );
-      }
- 
-      return res.json({ received: true });
+        // ── SMS confirmation to customer on every call ──
+        // After hours, non-emergency callers are told when to expect the callback
+        if (callRecord.phoneNumber && callRecord.phoneNumber !== 'unknown') {
+          const afterHours = !hours.open && !wasEmergency && hours.nextOpen;
+          const followUp = await sendSMS(tenant, callRecord.phoneNumber, renderTemplate(afterHours ? tenant.sms.callFollowUpAfterHours : tenant.sms.callFollowUp, {
+            business_name: tenant.businessName, owner_name: tenant.ownerName,
+            next_open: afterHours ? formatRelative(hours.nextOpen, tenant.timezone) : '',
+          }), { purpose: 'call_follow_up', ref: { id: callRecord.id, field: 'follow_up_sms' } });
+          if (followUp.messageId) await updateCall(tenant, callRecord.id, { follow_up_sms: { message_id: followUp.messageId, status: followUp.status } });
+        }
+        return { call_id: callRecord.id };
+      });
+      return res.json({ received: true, duplicate: run.replayed });
     }
     // ── Status updates (call started, ringing, etc.) ──
     if (message?.type === 'status-update') {
@@ -400,4 +182,7 @@ module.exports = async function handler(req, res) {
     console.error('Webhook error:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
-};
+});
+
+// Signatures are computed over the raw body, so we parse it ourselves
+module.exports.config = { api: { bodyParser: false } };
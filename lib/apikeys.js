@@ -0,0 +1,78 @@
+/**
+ * Per-tenant API keys — lib/apikeys.js
+ *
+ * Keys for the read APIs (/api/calls*) and the owner dashboard. A key looks
+ * like cc.<tenantId>.<keyId>.<secret>, so the tenant is known before any
+ * lookup. Only a SHA-256 hash is stored, in the tenant's own namespace:
+ *
+ *   apikey:<keyId>  — { id, name, hash, created_at, revoked_at }
+ *   apikeys         — set of keyIds for listing
+ *
+ * The plaintext key is returned once, from createApiKey(). Revoked keys stay
+ * listed (with revoked_at) so the access log still resolves their names.
+ */
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { getTenant } = require('./tenants');
+
+const PREFIX = 'cc';
+const LIST_KEY = 'apikeys';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function publicView({ hash, ...rest }) {
+  return rest;
+}
+
+// Returns { key, record } — the only time the plaintext key is available
+async function createApiKey(tenant, { name } = {}) {
+  const store = getStore(tenant);
+  if (!store) throw new Error('Storage not configured');
+  const id = crypto.randomBytes(4).toString('hex');
+  const key = `${PREFIX}.${tenant.id}.${id}.${crypto.randomBytes(24).toString('base64url')}`;
+  const record = { id, name: name || 'Dashboard', hash: hashKey(key), created_at: new Date().toISOString(), revoked_at: null };
+  await store.setValue(`apikey:${id}`, record);
+  await store.addToSet(LIST_KEY, id);
+  return { key, record: publicView(record) };
+}
+
+async function listApiKeys(tenant) {
+  const store = getStore(tenant);
+  if (!store) return [];
+  // Keys created before the set are listed in a plain array value
+  const legacy = (await store.getValue(LIST_KEY)) || [];
+  const ids = [...new Set([...legacy, ...(await store.getSet(LIST_KEY))])];
+  const records = await Promise.all(ids.map(id => store.getValue(`apikey:${id}`)));
+  return records.filter(Boolean).sort((a, b) => a.created_at.localeCompare(b.created_at)).map(publicView);
+}
+
+// Returns the revoked key, or null if there's no such key
+async function revokeApiKey(tenant, id) {
+  const store = getStore(tenant);
+  if (!store) return null;
+  const record = await store.getValue(`apikey:${id}`);
+  if (!record) return null;
+  if (!record.revoked_at) {
+    record.revoked_at = new Date().toISOString();
+    await store.setValue(`apikey:${id}`, record);
+  }
+  return publicView(record);
+}
+
+// Returns { tenant, keyId } for a live key, otherwise null
+async function verifyApiKey(key) {
+  const parts = String(key || '').split('.');
+  if (parts.length < 4 || parts[0] !== PREFIX) return null;
+  const id = parts[parts.length - 2];
+  const tenant = getTenant(parts.slice(1, -2).join('.'));
+  const store = tenant && getStore(tenant);
+  if (!store) return null;
+  const record = await store.getValue(`apikey:${id}`);
+  if (!record || record.revoked_at) return null;
+  const ok = crypto.timingSafeEqual(Buffer.from(record.hash, 'hex'), Buffer.from(hashKey(key), 'hex'));
+  return ok ? { tenant, keyId: id } : null;
+}
+
+module.exports = { createApiKey, listApiKeys, revokeApiKey, verifyApiKey };
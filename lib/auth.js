@@ -0,0 +1,98 @@
+/**
+ * Read-API authentication — lib/auth.js
+ *
+ * Every request to /api/calls* must send `Authorization: Bearer <key>`.
+ * The key picks the tenant, so one tenant's key can never read another's
+ * records. Accepted keys:
+ *   - managed keys created through /api/admin/keys (lib/apikeys.js)
+ *   - a tenant's configured dashboardToken (DASHBOARD_TOKEN for a legacy
+ *     single-business deployment) — handy for bootstrapping
+ *
+ * Admin endpoints (/api/admin/*) take ADMIN_API_KEY instead, and cron
+ * routes (/api/cron/*) CRON_SECRET — required, since they page people and
+ * send texts.
+ *
+ * Every authenticated read is written to the access log (logAccess).
+ */
+const crypto = require('crypto');
+const { loadTenants } = require('./tenants');
+const { verifyApiKey } = require('./apikeys');
+const { getStore } = require('./storage');
+const { dateKey, zonedParts } = require('./time');
+
+const ACCESS_LOG_DAYS = 90;
+
+function bearerToken(req) {
+  const header = req.headers?.authorization || '';
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+function tokensMatch(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Returns { tenant, keyId } or { status, error } ready to send back
+async function authenticateRead(req) {
+  const token = bearerToken(req);
+  if (!token) return { status: 401, error: 'Unauthorized' };
+  let auth = await verifyApiKey(token);
+  if (!auth) {
+    const tenant = loadTenants().find(t => t.dashboardToken && tokensMatch(t.dashboardToken, token));
+    if (tenant) auth = { tenant, keyId: 'config' };
+  }
+  if (!auth) return { status: 401, error: 'Unauthorized' };
+  // ?tenant is optional, but it has to agree with the key
+  if (req.query?.tenant && req.query.tenant !== auth.tenant.id) return { status: 403, error: 'Forbidden' };
+  return auth;
+}
+
+function authenticateAdmin(req) {
+  const token = bearerToken(req);
+  return Boolean(process.env.ADMIN_API_KEY && token && tokensMatch(process.env.ADMIN_API_KEY, token));
+}
+
+// Returns null when the request carries CRON_SECRET, or { status, error }
+// ready to send back. Without CRON_SECRET the cron routes stay shut.
+function authenticateCron(req) {
+  if (!process.env.CRON_SECRET) {
+    console.error('CRON_SECRET is not set — refusing to run cron job');
+    return { status: 503, error: 'CRON_SECRET not configured' };
+  }
+  const token = bearerToken(req);
+  if (!token || !tokensMatch(process.env.CRON_SECRET, token)) return { status: 401, error: 'Unauthorized' };
+  return null;
+}
+
+function clientIp(req) {
+  return String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || null;
+}
+
+// Who read which records. Goes to the function log and to the tenant's
+// access_log:<date> set (kept ACCESS_LOG_DAYS) for /api/admin/access-log —
+// a set, so the dashboard's parallel reads can't overwrite each other.
+async function logAccess(req, auth, { action, ids = [] }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    tenant: auth.tenant.id,
+    key: auth.keyId,
+    action,
+    ids,
+    ip: clientIp(req),
+    user_agent: req.headers?.['user-agent'] || null,
+  };
+  console.log('ACCESS:', JSON.stringify(entry));
+  const store = getStore(auth.tenant);
+  if (!store) return;
+  try {
+    const key = `access_log:${dateKey(zonedParts(new Date(), auth.tenant.timezone))}`;
+    await store.addToSet(key, JSON.stringify(entry), { ttlSeconds: ACCESS_LOG_DAYS * 86400 });
+  } catch (e) {
+    console.error('Access log write failed:', e.message);
+  }
+}
+
+module.exports = { authenticateRead, authenticateAdmin, authenticateCron, bearerToken, clientIp, logAccess };
@@ -0,0 +1,109 @@
+/**
+ * Self-service reschedule / cancel over SMS — lib/booking-replies.js
+ *
+ * The booking confirmation text invites customers to reply to reschedule.
+ * Called by /api/telnyx/inbound before keyword and owner-forwarding handling:
+ *   CANCEL APPT                   → cancel the customer's next booking
+ *   "reschedule" / "move my appointment" / ... → offer 3 new slots, numbered
+ *   1 / 2 / 3 (after an offer)    → move the booking to that slot
+ *
+ * A bare CANCEL is left alone: it's a carrier opt-out keyword, so it
+ * unsubscribes the number (lib/optout.js) like STOP does.
+ *
+ * Offered slots are kept as a stored value (sms_state:<digits>) for an hour.
+ * The owner hears about every change through the tenant's booking channels.
+ */
+const { getStore } = require('./storage');
+const { sendSMS, normalizePhone } = require('./sms');
+const { notify } = require('./notify');
+const { findUpcomingBooking } = require('./store');
+const { getAvailability, cancelBooking, rescheduleBooking } = require('./calcom');
+
+const STATE_TTL_SECONDS = 3600;
+const CANCEL_WORDS = ['CANCELAPPT', 'CANCELAPPOINTMENT'];
+// Has to be about the appointment — "I'll move the car" or "any change in
+// price?" are for the owner, not the reschedule flow
+const RESCHEDULE_PATTERN = /\b(reschedul\w*|(move|change|push( back)?|switch)\s+(my|the|our|that|this)\s+(appointment|appt|booking|estimate|visit|time|day|date)|(a|another) different (day|time|date))\b/i;
+
+function stateKey(phone) {
+  return `sms_state:${normalizePhone(phone).slice(1)}`;
+}
+
+function formatTime(tenant, iso) {
+  return new Date(iso).toLocaleString('en-US', {
+    weekday: 'long', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+    timeZone: tenant.timezone
+  });
+}
+
+function notifyOwner(tenant, booking, subject, text) {
+  return notify(tenant, 'booking', { subject, text, about: booking.phone });
+}
+
+// Returns true when the text was about a booking and has been answered
+async function handleBookingReply(tenant, from, text) {
+  const store = getStore(tenant);
+  if (!store) return false;
+  const body = String(text || '').trim();
+  const word = body.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+  // ── Slot pick after a reschedule offer ──
+  if (/^[1-3]$/.test(word)) {
+    const state = await store.getValue(stateKey(from));
+    if (!state) return false;
+    const slot = state.slots[parseInt(word) - 1];
+    const booking = await findUpcomingBooking(tenant, from);
+    if (!slot || !booking || booking.id !== state.bookingId) return false;
+    await store.deleteValue(stateKey(from));
+    const moved = await rescheduleBooking(tenant, booking, slot.iso, 'Rescheduled by customer via SMS');
+    if (!moved.success) {
+      await sendSMS(tenant, from, `Sorry, we couldn't move your appointment. ${tenant.ownerName} will reach out to find a new time.`);
+      await notifyOwner(tenant, booking, 'Reschedule failed', `⚠️ RESCHEDULE FAILED\n${booking.caller_name} — ${booking.phone}\nWanted: ${formatTime(tenant, slot.iso)}\nBooking #${booking.id.replace(/^booking-/, '')}`);
+      return true;
+    }
+    const newTime = formatTime(tenant, slot.iso);
+    await sendSMS(tenant, from, `You're all set — your appointment with ${tenant.businessName} is now ${newTime}.`);
+    await notifyOwner(tenant, booking, 'Booking rescheduled', `🔁 RESCHEDULED\n${booking.caller_name} — ${booking.phone}\n${formatTime(tenant, booking.time)} → ${newTime}\n\nBooking #${booking.id.replace(/^booking-/, '')}`
+    );
+    return true;
+  }
+
+  // ── Cancel ──
+  if (CANCEL_WORDS.includes(word)) {
+    const booking = await findUpcomingBooking(tenant, from);
+    if (!booking) return false;
+    const cancelled = await cancelBooking(tenant, booking, 'Cancelled by customer via SMS');
+    if (!cancelled.success) {
+      await sendSMS(tenant, from, `Sorry, we couldn't cancel that online. ${tenant.ownerName} will reach out to confirm.`);
+      await notifyOwner(tenant, booking, 'Cancel failed', `⚠️ CANCEL FAILED\n${booking.caller_name} — ${booking.phone}\n📅 ${formatTime(tenant, booking.time)}\nBooking #${booking.id.replace(/^booking-/, '')}`);
+      return true;
+    }
+    await store.deleteValue(stateKey(from));
+    await sendSMS(tenant, from, `Your ${formatTime(tenant, booking.time)} appointment with ${tenant.businessName} is cancelled. Reply STOP to stop texts from us.`);
+    await notifyOwner(tenant, booking, 'Booking cancelled', `❌ CANCELLED\n${booking.caller_name} — ${booking.phone}\n📅 ${formatTime(tenant, booking.time)}\n\nBooking #${booking.id.replace(/^booking-/, '')}`
+    );
+    return true;
+  }
+
+  // ── Reschedule request ──
+  if (RESCHEDULE_PATTERN.test(body)) {
+    const booking = await findUpcomingBooking(tenant, from);
+    if (!booking) return false;
+    const avail = await getAvailability(tenant, null, 'flexible');
+    if (!avail.available) {
+      await sendSMS(tenant, from, `We don't have open times online right now. ${tenant.ownerName} will reach out to reschedule.`);
+      await notifyOwner(tenant, booking, 'Reschedule request', `🔁 RESCHEDULE REQUEST\n${booking.caller_name} — ${booking.phone}\n📅 ${formatTime(tenant, booking.time)}\nNo open slots to offer — please call them.`);
+      return true;
+    }
+    await store.setValue(stateKey(from), { bookingId: booking.id, slots: avail.slots }, { ttlSeconds: STATE_TTL_SECONDS });
+    const options = avail.slots.map((s, i) => `${i + 1}) ${formatTime(tenant, s.iso)}`).join('\n');
+    await sendSMS(tenant, from,
+      `To move your ${formatTime(tenant, booking.time)} appointment, reply with a number:\n${options}\nOr reply CANCEL APPT to cancel it.`
+    );
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = { handleBookingReply };
@@ -0,0 +1,338 @@
+/**
+ * Cal.com scheduling — lib/calcom.js
+ *
+ * Availability, booking, reschedule and cancel for a tenant's event type.
+ * Cal.com v2 is tried first on every call, falling back to v1.
+ *
+ * Env vars: CALCOM_API_URL (optional — defaults to https://api.cal.com; the
+ *           test suite points it at a local stand-in)
+ */
+const { renderTemplate } = require('./tenants');
+const { sendSMS } = require('./sms');
+const { notify } = require('./notify');
+const { storeCall, updateCall, findBookingAt } = require('./store');
+const { endOfOpenDays, isHoliday } = require('./hours');
+const { parsePreferredDate, slotMatches } = require('./dates');
+const { zonedParts, zonedTimeToUtc, addDays, dateKey } = require('./time');
+
+function calcomUrl(path) {
+  return `${process.env.CALCOM_API_URL || 'https://api.cal.com'}${path}`;
+}
+
+const V2_HEADERS = { 'Content-Type': 'application/json', 'cal-api-version': '2024-08-13' };
+
+// ── Cal.com Availability ──
+// Cal.com v2 uses /v2/slots/available, but v1 is still supported for most plans.
+// We try v2 first, fall back to v1. Returns slot times as ISO strings, or
+// null when neither API answered.
+async function fetchSlots(tenant, start, end) {
+  const { apiKey, eventTypeId } = tenant.calcom;
+  const startTime = start.toISOString();
+  const endTime = end.toISOString();
+  // Try v2 endpoint first
+  let data;
+  try {
+    const v2Res = await fetch(
+      calcomUrl(`/v2/slots/available?startTime=${startTime}&endTime=${endTime}&eventTypeId=${eventTypeId}`),
+      { headers: { Authorization: `Bearer ${apiKey}`, 'cal-api-version': '2024-08-13' } }
+    );
+    if (v2Res.ok) {
+      data = await v2Res.json();
+    }
+  } catch (e) { /* fall through to v1 */ }
+  // Fallback to v1
+  if (!data || !data.data) {
+    try {
+      const v1Res = await fetch(
+        calcomUrl(`/v1/availability?apiKey=${apiKey}&eventTypeId=${eventTypeId}&startTime=${startTime}&endTime=${endTime}`)
+      );
+      data = await v1Res.json();
+    } catch (e) {
+      console.error('Cal.com availability error:', e.message);
+      return null;
+    }
+  }
+  // Parse slots — handle both v1 and v2 response shapes
+  const slotsObj = data?.data?.slots || data?.slots || {};
+  return Object.values(slotsObj)
+    .flatMap(times => (Array.isArray(times) ? times : []).map(s => s.time || s))
+    .filter(iso => !isHoliday(tenant, new Date(iso)))
+    .sort();
+}
+
+function slotDisplay(tenant, iso) {
+  const dt = new Date(iso);
+  return `${dt.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric', timeZone: tenant.timezone })} at ${dt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: tenant.timezone })}`;
+}
+
+// Pick `count` slots from `candidates` (already in order of preference),
+// taking at most one per local day until every day has had a turn.
+function spreadAcrossDays(tenant, candidates, count = 3) {
+  const byDay = new Map();
+  for (const iso of candidates) {
+    const p = zonedParts(new Date(iso), tenant.timezone);
+    const key = dateKey(p);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(iso);
+  }
+  const picked = [];
+  for (let round = 0; picked.length < count; round++) {
+    const before = picked.length;
+    for (const times of byDay.values()) {
+      if (times[round] && picked.length < count) picked.push(times[round]);
+    }
+    if (picked.length === before) break;
+  }
+  return picked.sort().map(iso => ({ display: slotDisplay(tenant, iso), iso }));
+}
+
+// Follows the caller's preferred day/time (lib/dates.js) when they gave one;
+// when that window is full, offers the nearest openings around it instead.
+// Otherwise the window is counted in open business days (lib/hours.js), so
+// weekends and holidays don't eat into it. Emergencies always get the soonest.
+async function getAvailability(tenant, preferredDate, urgency) {
+  const now = new Date();
+  const tz = tenant.timezone;
+  const trouble = { available: false, message: "I'm having trouble checking the calendar right now. Let me have " + tenant.ownerName + " call you back to schedule." };
+  const preference = urgency === 'emergency' ? null : parsePreferredDate(preferredDate, tz, now);
+
+  if (!preference) {
+    const openDays = urgency === 'emergency' ? 2 : 5;
+    const found = await fetchSlots(tenant, now, endOfOpenDays(tenant, now, openDays));
+    if (!found) return trouble;
+    if (!found.length) {
+      return { available: false, message: "No openings this week. I'll have " + tenant.ownerName + " call you to find a time." };
+    }
+    // Soonest first, but still on different days when possible
+    const slots = urgency === 'emergency' ? found.slice(0, 3).map(iso => ({ display: slotDisplay(tenant, iso), iso })) : spreadAcrossDays(tenant, found);
+    return { available: true, slots, message: `I've got: ${slots.map(s => s.display).join(', ')}. Which works best?` };
+  }
+
+  const windowStart = zonedTimeToUtc({ ...preference.startDay, hour: 0 }, tz);
+  const windowEnd = zonedTimeToUtc({ ...addDays(preference.endDay, 1), hour: 0 }, tz);
+  const found = await fetchSlots(tenant, windowStart > now ? windowStart : now, windowEnd);
+  if (!found) return trouble;
+  const matching = found.filter(iso => slotMatches(preference, new Date(iso), tz));
+  if (matching.length) {
+    const slots = spreadAcrossDays(tenant, matching);
+    return { available: true, slots, message: `I've got: ${slots.map(s => s.display).join(', ')}. Which works best?` };
+  }
+
+  // Nothing in the window — look a few days either side and offer what's closest
+  const target = new Date(zonedTimeToUtc({ ...preference.startDay, hour: 0 }, tz).getTime() + (preference.fromMinutes || 8 * 60) * 60000);
+  const aroundStart = new Date(Math.max(now.getTime(), windowStart.getTime() - 3 * 86400000));
+  const nearby = await fetchSlots(tenant, aroundStart, endOfOpenDays(tenant, windowEnd > now ? windowEnd : now, 5));
+  if (!nearby) return trouble;
+  if (!nearby.length) {
+    return { available: false, message: `Nothing's open ${preference.label} or the days around it. I'll have ${tenant.ownerName} call you to find a time.` };
+  }
+  const closest = nearby.slice().sort((a, b) => Math.abs(new Date(a) - target) - Math.abs(new Date(b) - target));
+  const slots = spreadAcrossDays(tenant, closest);
+  return {
+    available: true,
+    slots,
+    requestedFull: true,
+    message: `I don't have anything ${preference.label}. The closest I've got: ${slots.map(s => s.display).join(', ')}. Would one of those work?`,
+  };
+}
+ 
+// ── Book Appointment ──
+async function bookAppointment(tenant, params) {
+  const tz = tenant.timezone;
+  const { apiKey, eventTypeId } = tenant.calcom;
+  const timeStr = new Date(params.appointment_time).toLocaleString('en-US', {
+    weekday: 'long', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+    timeZone: tz
+  });
+  // Same caller, same slot: a repeat request, not a second appointment
+  const existing = await findBookingAt(tenant, params.phone, params.appointment_time);
+  if (existing) {
+    console.log(`BOOKING_DUPLICATE: ${tenant.id} ${existing.id}`);
+    return { success: true, duplicate: true, message: `You're already booked for ${timeStr} — no need to book again.` };
+  }
+  // Try v2 first
+  let result;
+  try {
+    const v2Res = await fetch(calcomUrl('/v2/bookings'), {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        'cal-api-version': '2024-08-13'
+      },
+      body: JSON.stringify({
+        eventTypeId: parseInt(eventTypeId),
+        start: params.appointment_time,
+        attendee: {
+          name: params.caller_name,
+          email: `${params.phone.replace(/\D/g, '')}@leads.callcovered.com`,
+          phoneNumber: params.phone,
+          timeZone: tz
+        },
+        metadata: {
+          source: 'ai-answering-service',
+          jobDescription: params.job_description,
+          address: params.address || 'TBD',
+          urgency: params.urgency || 'normal'
+        }
+      }),
+    });
+    if (v2Res.ok) result = await v2Res.json();
+  } catch (e) { /* fall through */ }
+  // Fallback to v1
+  if (!result || (!result.data && !result.id)) {
+    try {
+      const v1Res = await fetch(calcomUrl(`/v1/bookings?apiKey=${apiKey}`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          eventTypeId: parseInt(eventTypeId),
+          start: params.appointment_time,
+          responses: {
+            name: params.caller_name,
+            email: `${params.phone.replace(/\D/g, '')}@leads.callcovered.com`,
+            phone: params.phone,
+            notes: `Job: ${params.job_description}\nAddress: ${params.address || 'TBD'}\nUrgency: ${params.urgency || 'normal'}`,
+          },
+          metadata: { source: 'ai-answering-service' },
+        }),
+      });
+      result = await v1Res.json();
+    } catch (e) {
+      console.error('Cal.com booking error:', e.message);
+      return { success: false, message: "The booking system had a hiccup. I'll have " + tenant.ownerName + " call you to confirm." };
+    }
+  }
+  const bookingId = result?.data?.id || result?.id;
+  const booking = result?.data || result;
+  if (bookingId) {
+    // Customer text and owner notification in parallel
+    const recordId = `booking-${bookingId}`;
+    const [customerSms, ownerNotice] = await Promise.all([
+      sendSMS(tenant, params.phone, renderTemplate(tenant.sms.bookingConfirmation, {
+        caller_name: params.caller_name, business_name: tenant.businessName, owner_name: tenant.ownerName, time: timeStr,
+      }), { purpose: 'booking_confirmation', ref: { id: recordId, field: 'customer_sms' } }),
+      notify(tenant, 'booking', {
+        subject: `New booking — ${params.caller_name}, ${timeStr}`,
+        text: `📋 NEW BOOKING\n${params.caller_name} — ${params.phone}\n${params.job_description}\n📍 ${params.address || 'N/A'}\n📅 ${timeStr}\n\nBooking #${bookingId}`,
+        data: { booking_id: bookingId, caller_name: params.caller_name, phone: params.phone, job: params.job_description, address: params.address, time: params.appointment_time },
+        ref: { id: recordId, field: 'owner_sms' },
+        about: params.phone,
+      }),
+    ]);
+    // Store booking event
+    await storeCall(tenant, {
+      id: recordId,
+      type: 'booking',
+      caller_name: params.caller_name,
+      phone: params.phone,
+      job: params.job_description,
+      address: params.address,
+      time: params.appointment_time,
+      end_time: booking.end || booking.endTime,
+      booking_uid: booking.uid,
+      status: 'booked',
+      // Delivery receipts keep these statuses current (lib/messages.js)
+      customer_sms: { message_id: customerSms.messageId, status: customerSms.status },
+      owner_notified: ownerNotice.delivered,
+      owner_channel: ownerNotice.channel,
+      owner_sms: ownerNotice.message_id ? { message_id: ownerNotice.message_id, status: ownerNotice.status } : null,
+      created_at: new Date().toISOString()
+    });
+    let msg = `Booked for ${timeStr}. Confirmation texts sent.`;
+    if (!customerSms.ok) msg = `Booked for ${timeStr}. I sent ${tenant.ownerName} the details — they'll confirm with you directly.`;
+    return { success: true, message: msg };
+  }
+  return { success: false, message: "The booking didn't go through. I'll have " + tenant.ownerName + " call you back to schedule." };
+}
+
+// ── Cancel Booking ──
+// `booking` is the stored booking-* record
+async function cancelBooking(tenant, booking, reason) {
+  const { apiKey } = tenant.calcom;
+  const calId = booking.id.replace(/^booking-/, '');
+  let ok = false;
+  if (booking.booking_uid) {
+    try {
+      const v2Res = await fetch(calcomUrl(`/v2/bookings/${booking.booking_uid}/cancel`), {
+        method: 'POST',
+        headers: { ...V2_HEADERS, Authorization: `Bearer ${apiKey}` },
+        body: JSON.stringify({ cancellationReason: reason }),
+      });
+      ok = v2Res.ok;
+    } catch (e) { /* fall through */ }
+  }
+  if (!ok) {
+    try {
+      const v1Res = await fetch(calcomUrl(`/v1/bookings/${calId}/cancel?apiKey=${apiKey}`), { method: 'DELETE' });
+      ok = v1Res.ok;
+    } catch (e) {
+      console.error('Cal.com cancel error:', e.message);
+    }
+  }
+  if (!ok) return { success: false };
+  await updateCall(tenant, booking.id, { status: 'cancelled', cancelled_at: new Date().toISOString(), cancel_reason: reason });
+  return { success: true };
+}
+
+// ── Reschedule Booking ──
+async function rescheduleBooking(tenant, booking, newStart, reason) {
+  const { apiKey } = tenant.calcom;
+  const calId = booking.id.replace(/^booking-/, '');
+  let result;
+  if (booking.booking_uid) {
+    try {
+      const v2Res = await fetch(calcomUrl(`/v2/bookings/${booking.booking_uid}/reschedule`), {
+        method: 'POST',
+        headers: { ...V2_HEADERS, Authorization: `Bearer ${apiKey}` },
+        body: JSON.stringify({ start: newStart, reschedulingReason: reason }),
+      });
+      if (v2Res.ok) result = (await v2Res.json())?.data;
+    } catch (e) { /* fall through */ }
+  }
+  if (!result) {
+    // v1 has no reschedule endpoint — move the existing booking, keeping its length
+    const length = booking.end_time
+      ? new Date(booking.end_time) - new Date(booking.time)
+      : 3600000;
+    try {
+      const v1Res = await fetch(calcomUrl(`/v1/bookings/${calId}?apiKey=${apiKey}`), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          startTime: newStart,
+          endTime: new Date(new Date(newStart).getTime() + length).toISOString(),
+        }),
+      });
+      if (v1Res.ok) result = await v1Res.json();
+    } catch (e) {
+      console.error('Cal.com reschedule error:', e.message);
+    }
+  }
+  if (!result) return { success: false };
+  const updated = await updateCall(tenant, booking.id, {
+    status: 'rescheduled',
+    previous_time: booking.time,
+    time: newStart,
+    end_time: result.end || result.endTime || booking.end_time,
+    // v2 issues a new uid for the rescheduled booking
+    booking_uid: result.uid || booking.booking_uid,
+  });
+  return { success: true, booking: updated };
+}
+
+// Health check: the event type has to have open slots coming up, or callers
+// can't be booked → { ok, message }
+const CHECK_DAYS = 14;
+
+async function checkCalendar(tenant) {
+  const { apiKey, eventTypeId } = tenant.calcom;
+  if (!apiKey || !eventTypeId) return { ok: false, message: 'Cal.com API key or event type missing' };
+  const now = new Date();
+  const slots = await fetchSlots(tenant, now, new Date(now.getTime() + CHECK_DAYS * 86400000));
+  if (!slots) return { ok: false, message: 'Cal.com unreachable — check the API key and event type ID' };
+  if (!slots.length) return { ok: false, message: `Event type ${eventTypeId} has no open slots in the next ${CHECK_DAYS} days` };
+  return { ok: true, message: `${slots.length} open slots in the next ${CHECK_DAYS} days, first ${slotDisplay(tenant, slots[0])}` };
+}
+
+module.exports = { getAvailability, bookAppointment, cancelBooking, rescheduleBooking, checkCalendar };
@@ -0,0 +1,60 @@
+/**
+ * Caller history — lib/callers.js
+ *
+ * Everything we've stored for one phone number (calls, bookings,
+ * emergencies), read through the storage phone index. Backs the
+ * lookup_caller tool and the "returning customer" line in owner texts.
+ */
+const { getStore } = require('./storage');
+
+const MAX_PAST_JOBS = 5;
+
+// excludeId: leave out the call currently being reported
+async function getCallerHistory(tenant, phone, { excludeId } = {}) {
+  const empty = { known: false, name: null, lastAddress: null, priorCalls: 0, pastJobs: [], upcomingBookings: [] };
+  const store = getStore(tenant);
+  if (!store || !phone || phone === 'unknown') return empty;
+
+  const records = (await store.find({ phone })).filter(r => r.id !== excludeId);
+  if (!records.length) return empty;
+
+  const now = Date.now();
+  const named = records.find(r => (r.caller_name || r.customerName) && (r.caller_name || r.customerName) !== 'Unknown Caller');
+  const withAddress = records.find(r => r.address);
+  const pastJobs = records
+    .filter(r => (r.type === 'booking' && new Date(r.time).getTime() <= now) || r.type === 'emergency')
+    .slice(0, MAX_PAST_JOBS)
+    .map(r => ({ date: r.time || r.created_at, description: r.job || r.issue, type: r.type }));
+  const upcomingBookings = records
+    .filter(r => r.type === 'booking' && r.status !== 'cancelled' && new Date(r.time).getTime() > now)
+    .sort((a, b) => new Date(a.time) - new Date(b.time))
+    .map(r => ({ id: r.id, time: r.time, description: r.job, address: r.address }));
+
+  return {
+    known: true,
+    name: named ? named.caller_name || named.customerName : null,
+    lastAddress: withAddress ? withAddress.address : null,
+    priorCalls: records.filter(r => r.type === 'call').length,
+    pastJobs,
+    upcomingBookings,
+  };
+}
+
+// What the assistant hears back from lookup_caller
+function describeCaller(tenant, history) {
+  if (!history.known) return 'No previous history for this caller — treat them as a new customer.';
+  const when = iso => new Date(iso).toLocaleString('en-US', {
+    weekday: 'long', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: tenant.timezone
+  });
+  const parts = [`Returning customer${history.name ? `: ${history.name}` : ''} (${history.priorCalls} prior calls).`];
+  if (history.lastAddress) parts.push(`Last address on file: ${history.lastAddress}.`);
+  if (history.pastJobs.length) {
+    parts.push(`Past jobs: ${history.pastJobs.map(j => `${j.description || 'job'} (${new Date(j.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: tenant.timezone })})`).join('; ')}.`);
+  }
+  if (history.upcomingBookings.length) {
+    parts.push(`Upcoming: ${history.upcomingBookings.map(b => `${b.description || 'appointment'} on ${when(b.time)}`).join('; ')}.`);
+  }
+  return parts.join(' ');
+}
+
+module.exports = { getCallerHistory, describeCaller };
@@ -0,0 +1,167 @@
+/**
+ * Service catalog and service area — lib/catalog.js
+ *
+ * Answers pricing and "do you come out to ..." questions from the tenant's
+ * config, for the get_quote and check_service_area tools:
+ *
+ *   catalog: {
+ *     services: [
+ *       { name: 'Toilet replacement', keywords: ['toilet'], priceMin: 350, priceMax: 650,
+ *         note: 'includes haul-away of the old one' },
+ *     ],
+ *     tripFee: 79,          // charged on every visit
+ *     diagnosticFee: 89,    // for jobs that need looking at first
+ *     diagnosticCredited: true, // diagnostic fee comes off the repair if they go ahead
+ *   },
+ *   serviceArea: {
+ *     zips: ['77002', '77003'],                         // any of these is in the area
+ *     center: { lat: 29.7604, lng: -95.3698 }, radiusMiles: 25, // or within this radius
+ *   }
+ *
+ * Prices are always ranges — the owner gives the real price on site.
+ * A radius needs the address geocoded (US Census geocoder, no key needed);
+ * when that fails the address is reported as unknown rather than refused.
+ *
+ * The lookup happens mid-call, so it gets GEOCODER_TIMEOUT_MS before the
+ * address counts as unknown too.
+ *
+ * Env vars: GEOCODER_URL (optional — overrides the Census geocoder host),
+ *           GEOCODER_TIMEOUT_MS (optional — default 3000)
+ */
+const { normalizeJobType } = require('./trades');
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+function dollars(n) {
+  return `$${Number(n).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+}
+
+// "an $89 fee", "a $79 fee" — eight, eleven and eighteen start with a vowel sound
+function withArticle(n) {
+  const d = String(Math.floor(Number(n)));
+  const an = d.startsWith('8') || (d.length % 3 === 2 && /^1[18]/.test(d));
+  return `${an ? 'an' : 'a'} ${dollars(n)}`;
+}
+
+function catalogFor(tenant) {
+  return { services: [], ...tenant.catalog };
+}
+
+// Best keyword match for the job, scored like classifyJob() in lib/trades.js
+function findService(tenant, text) {
+  const haystack = ` ${String(text || '').toLowerCase()} `;
+  let best = null;
+  let bestHits = 0;
+  for (const service of catalogFor(tenant).services) {
+    const keywords = [service.name, ...(service.keywords || [])].map(k => String(k).toLowerCase());
+    const hits = keywords.filter(k => haystack.includes(k)).length;
+    if (hits > bestHits) {
+      best = service;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+function describeFees(tenant) {
+  const { tripFee, diagnosticFee, diagnosticCredited } = catalogFor(tenant);
+  const fees = [];
+  if (tripFee) fees.push(`${withArticle(tripFee)} trip fee`);
+  if (diagnosticFee) fees.push(`${withArticle(diagnosticFee)} diagnostic fee${diagnosticCredited ? ' that comes off the repair if you go ahead' : ''}`);
+  return fees.length ? ` There's ${fees.join(' and ')}.` : '';
+}
+
+// → { found, quote, message }; quote is what we told the caller, kept on the call record
+function quoteJob(tenant, jobDescription) {
+  const service = findService(tenant, jobDescription);
+  const { tripFee, diagnosticFee } = catalogFor(tenant);
+  if (!service) {
+    return {
+      found: false,
+      quote: null,
+      message: `I don't have a set price for that — ${tenant.ownerName} will need to take a look and give you a quote.${describeFees(tenant)}`,
+    };
+  }
+  const range = service.priceMin === service.priceMax || service.priceMax == null
+    ? `about ${dollars(service.priceMin)}`
+    : `between ${dollars(service.priceMin)} and ${dollars(service.priceMax)}`;
+  return {
+    found: true,
+    quote: {
+      service: service.name,
+      job_type: normalizeJobType(tenant, jobDescription),
+      job_description: jobDescription,
+      price_min: service.priceMin,
+      price_max: service.priceMax ?? service.priceMin,
+      trip_fee: tripFee || 0,
+      diagnostic_fee: diagnosticFee || 0,
+      at: new Date().toISOString(),
+    },
+    message: `${service.name} usually runs ${range}${service.note ? `, ${service.note}` : ''}.${describeFees(tenant)} ${tenant.ownerName} will confirm the exact price on site.`,
+  };
+}
+
+// Last 5-digit group in the address, so a street number isn't mistaken for it
+function extractZip(text) {
+  const matches = String(text || '').match(/\b\d{5}(?:-\d{4})?\b/g);
+  return matches ? matches[matches.length - 1].slice(0, 5) : null;
+}
+
+function milesBetween(a, b) {
+  const rad = deg => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+// → { lat, lng } or null
+async function geocode(address) {
+  const base = process.env.GEOCODER_URL || 'https://geocoding.geo.census.gov';
+  const url = `${base}/geocoder/locations/onelineaddress?address=${encodeURIComponent(address)}&benchmark=Public_AR_Current&format=json`;
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(Number(process.env.GEOCODER_TIMEOUT_MS) || 3000) });
+    if (!res.ok) return null;
+    const match = (await res.json())?.result?.addressMatches?.[0]?.coordinates;
+    return match ? { lat: match.y, lng: match.x } : null;
+  } catch (e) {
+    console.error('Geocoding error:', e.message);
+    return null;
+  }
+}
+
+function hasServiceArea(tenant) {
+  const area = tenant.serviceArea || {};
+  return !!((area.zips && area.zips.length) || (area.center && area.radiusMiles));
+}
+
+// → { in_area: true | false | null (couldn't tell), zip, miles, reason }
+async function checkServiceArea(tenant, { address, zip } = {}) {
+  const area = tenant.serviceArea || {};
+  if (!hasServiceArea(tenant)) return { in_area: true, reason: 'no_restriction' };
+  const postal = extractZip(zip) || extractZip(address);
+  const zips = (area.zips || []).map(String);
+  if (postal && zips.includes(postal)) return { in_area: true, zip: postal, reason: 'zip' };
+
+  if (area.center && area.radiusMiles && (address || postal)) {
+    const point = await geocode(address || postal);
+    if (point) {
+      const miles = Math.round(milesBetween(area.center, point) * 10) / 10;
+      return { in_area: miles <= area.radiusMiles, zip: postal, miles, reason: 'radius' };
+    }
+    return { in_area: null, zip: postal, reason: 'geocode_failed' };
+  }
+  if (postal && zips.length) return { in_area: false, zip: postal, reason: 'zip' };
+  return { in_area: null, zip: postal, reason: 'no_zip' };
+}
+
+function describeServiceArea(tenant, result) {
+  if (result.in_area === true) return "Yes, that's in our service area.";
+  if (result.in_area === false) {
+    return `That looks to be outside our service area, so I can't book it directly — ${tenant.ownerName} will call you to see if we can make it work.`;
+  }
+  if (result.reason === 'no_zip') return "What's the zip code there? I want to make sure it's in our service area.";
+  return `I can't confirm that address right now — ${tenant.ownerName} will double-check it's in our area.`;
+}
+
+module.exports = { quoteJob, findService, checkServiceArea, hasServiceArea, describeServiceArea, extractZip };
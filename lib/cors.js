@@ -0,0 +1,32 @@
+/**
+ * CORS for browser-facing APIs — lib/cors.js
+ *
+ * Only dashboard origins on the allowlist get CORS headers; everyone else
+ * gets none, so browsers block cross-site reads. The dashboard served from
+ * this deployment is same-origin and needs no entry. Webhooks are
+ * server-to-server and never send CORS headers.
+ *
+ * Allowlist: DASHBOARD_ORIGINS (comma-separated) plus each tenant's
+ * dashboardOrigins array, e.g. ['https://dash.acmeplumbing.com'].
+ */
+const { loadTenants } = require('./tenants');
+
+function allowedOrigins() {
+  const fromEnv = (process.env.DASHBOARD_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+  const fromTenants = loadTenants().flatMap(t => t.dashboardOrigins || []);
+  return new Set([...fromEnv, ...fromTenants].map(o => o.replace(/\/$/, '')));
+}
+
+// Sets CORS headers when the request's Origin is allowed; returns whether it was
+function applyCors(req, res, methods) {
+  res.setHeader('Vary', 'Origin');
+  const origin = req.headers?.origin;
+  if (!origin || !allowedOrigins().has(origin)) return false;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Max-Age', '600');
+  return true;
+}
+
+module.exports = { applyCors, allowedOrigins };
@@ -0,0 +1,205 @@
+/**
+ * Natural-language date windows — lib/dates.js
+ *
+ * Turns what a caller says ("next Tuesday", "Thursday afternoon",
+ * "after 3pm", "this weekend", "Oct 22", "2026-10-22") into a search
+ * window in the tenant's timezone:
+ *
+ *   {
+ *     startDay, endDay,   // local { year, month, day } range, inclusive
+ *     weekdays,           // [0-6] allowed inside the range, or null for any
+ *     fromMinutes,        // local time-of-day window, minutes after midnight
+ *     toMinutes,
+ *     label               // "Thursday afternoon", for what the assistant says back
+ *   }
+ *
+ * Returns null when nothing usable was said ("asap", "whenever", "").
+ */
+const { zonedParts, addDays } = require('./time');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_ABBREVIATIONS = ['sun', 'mon', 'tue|tues', 'wed|weds', 'thu|thur|thurs', 'fri', 'sat'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const PARTS_OF_DAY = {
+  morning: [8 * 60, 12 * 60],
+  noon: [11 * 60, 13 * 60],
+  lunch: [11 * 60, 13 * 60],
+  afternoon: [12 * 60, 17 * 60],
+  evening: [17 * 60, 21 * 60],
+};
+
+function cap(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+// "3", "3pm", "3:30 pm", "15:00", "noon" → minutes after midnight.
+// A bare 1–7 is read as pm — nobody books a plumber for 3am.
+function parseClock(str) {
+  const s = str.trim().toLowerCase();
+  if (s === 'noon') return 12 * 60;
+  if (s === 'midnight') return 0;
+  const m = s.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!m) return null;
+  let hour = parseInt(m[1]);
+  const minute = parseInt(m[2] || '0');
+  const meridiem = m[3] ? m[3][0] : null;
+  if (meridiem === 'p' && hour < 12) hour += 12;
+  if (meridiem === 'a' && hour === 12) hour = 0;
+  if (!meridiem && hour >= 1 && hour <= 7) hour += 12;
+  return hour * 60 + minute;
+}
+
+function formatMinutes(mins) {
+  if (mins === 12 * 60) return 'noon';
+  const h = Math.floor(mins / 60);
+  const m = mins % 60;
+  return `${h % 12 || 12}${m ? `:${String(m).padStart(2, '0')}` : ''}${h < 12 ? 'am' : 'pm'}`;
+}
+
+const CLOCK = '(\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.)?|noon)';
+// After a lone CLOCK: "by 10/22" and "after 10-24" are dates, not times
+const NOT_A_DATE = '(?!\\d|[/-]\\d)';
+
+function parseTimeWindow(text) {
+  let m;
+  if ((m = text.match(new RegExp(`between\\s+${CLOCK}\\s+(?:and|-)\\s+${CLOCK}`)))) {
+    let from = parseClock(m[1]);
+    const to = parseClock(m[2]);
+    // "between 10 and 2pm" — the bare 10 is morning
+    if (from !== null && to !== null && from >= to && from >= 12 * 60) from -= 12 * 60;
+    if (from !== null && to !== null) return { from, to, label: `between ${formatMinutes(from)} and ${formatMinutes(to)}` };
+  }
+  if ((m = text.match(new RegExp(`(?:after|from|later than)\\s+${CLOCK}${NOT_A_DATE}`)))) {
+    const from = parseClock(m[1]);
+    if (from !== null) return { from, to: 24 * 60, label: `after ${formatMinutes(from)}` };
+  }
+  if ((m = text.match(new RegExp(`(?:before|by|earlier than)\\s+${CLOCK}${NOT_A_DATE}`)))) {
+    const to = parseClock(m[1]);
+    if (to !== null) return { from: 0, to, label: `before ${formatMinutes(to)}` };
+  }
+  if ((m = text.match(new RegExp(`(?:around|about|at)\\s+${CLOCK}${NOT_A_DATE}`)))) {
+    const at = parseClock(m[1]);
+    if (at !== null) return { from: at - 60, to: at + 61, label: `around ${formatMinutes(at)}` };
+  }
+  for (const [word, [from, to]] of Object.entries(PARTS_OF_DAY)) {
+    if (new RegExp(`\\b${word}\\b`).test(text)) return { from, to, label: word === 'lunch' ? 'around lunch' : word };
+  }
+  return null;
+}
+
+// Returns { startDay, endDay, weekdays, label } or null
+function parseDays(text, today) {
+  let m;
+  // ISO date (Vapi sometimes passes one through as-is)
+  if ((m = text.match(/(\d{4})-(\d{2})-(\d{2})/))) {
+    const day = { year: +m[1], month: +m[2], day: +m[3] };
+    return { startDay: day, endDay: day, weekdays: null, label: null };
+  }
+  if (/\bday after tomorrow\b/.test(text)) return single(addDays(today, 2), null);
+  if (/\btomorrow\b/.test(text)) return single(addDays(today, 1), 'tomorrow');
+  if (/\b(today|tonight|this (afternoon|evening|morning))\b/.test(text)) return single(today, 'today');
+  if (/\bweekend\b/.test(text)) {
+    const toSat = (6 - today.weekday + 7) % 7;
+    const offset = /\bnext weekend\b/.test(text) && toSat !== 0 ? toSat + 7 : today.weekday === 0 ? 0 : toSat;
+    const start = addDays(today, offset);
+    return { startDay: start, endDay: addDays(start, start.weekday === 6 ? 1 : 0), weekdays: [0, 6], label: 'the weekend' };
+  }
+  if (/\bnext week\b/.test(text)) {
+    const monday = addDays(today, ((1 - today.weekday + 7) % 7) || 7);
+    return { startDay: monday, endDay: addDays(monday, 4), weekdays: [1, 2, 3, 4, 5], label: 'next week' };
+  }
+  if (/\bthis week\b/.test(text)) {
+    return { startDay: today, endDay: addDays(today, Math.max(5 - today.weekday, 0)), weekdays: null, label: 'this week' };
+  }
+  const dayIdx = DAY_NAMES.findIndex((d, i) => new RegExp(`\\b(${d}|${DAY_ABBREVIATIONS[i]})\\b`).test(text));
+  if (dayIdx !== -1) {
+    let diff = (dayIdx - today.weekday + 7) % 7;
+    if (/\bnext\b/.test(text)) {
+      // "next Tuesday" on a Monday means a week from tomorrow, not tomorrow,
+      // but "next Monday" on a Saturday is the day after tomorrow — skip a
+      // week only when the day is still to come in this (Mon–Sun) week.
+      // People differ on this, so the label carries the exact date for the
+      // assistant to read back.
+      const daysLeftInWeek = (7 - today.weekday) % 7;
+      const day = addDays(today, diff <= daysLeftInWeek ? diff + 7 : diff);
+      return single(day, dayLabel(day));
+    }
+    return single(addDays(today, diff), cap(DAY_NAMES[dayIdx]));
+  }
+  // "Oct 22", "October 22nd", "22 October"
+  const monthRe = MONTHS.join('|');
+  if ((m = text.match(new RegExp(`\\b(${monthRe})[a-z]*\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`))) ||
+      (m = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${monthRe})[a-z]*\\b`)))) {
+    const [monthStr, dayStr] = isNaN(m[1]) ? [m[1], m[2]] : [m[2], m[1]];
+    return single(inferYear(today, MONTHS.indexOf(monthStr) + 1, +dayStr), null);
+  }
+  // "10/22"
+  if ((m = text.match(/\b(\d{1,2})\/(\d{1,2})\b/))) return single(inferYear(today, +m[1], +m[2]), null);
+  return null;
+}
+
+function single(day, label) {
+  return { startDay: day, endDay: day, weekdays: null, label };
+}
+
+// Dates without a year mean the next time that date comes around
+function inferYear(today, month, day) {
+  const thisYear = { year: today.year, month, day };
+  const passed = month < today.month || (month === today.month && day < today.day);
+  return passed ? { ...thisYear, year: today.year + 1 } : thisYear;
+}
+
+function dayLabel(day) {
+  const d = new Date(Date.UTC(day.year, day.month - 1, day.day, 12));
+  return d.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function parsePreferredDate(input, tz, now = new Date()) {
+  const text = String(input || '').toLowerCase().trim();
+  if (!text) return null;
+  const today = zonedParts(now, tz);
+
+  // A full ISO timestamp: that day, around that time
+  if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}/.test(text)) {
+    const at = new Date(input);
+    if (!isNaN(at)) {
+      const p = zonedParts(at, tz);
+      const mins = p.hour * 60 + p.minute;
+      return {
+        startDay: p, endDay: p, weekdays: null,
+        fromMinutes: mins - 60, toMinutes: mins + 121,
+        label: `${dayLabel(p)} around ${formatMinutes(mins)}`,
+      };
+    }
+  }
+
+  const days = parseDays(text, today);
+  const time = parseTimeWindow(text);
+  if (!days && !time) return null;
+
+  const startDay = days ? days.startDay : today;
+  const endDay = days ? days.endDay : addDays(today, 6);
+  const dayPart = days ? days.label || dayLabel(days.startDay) : null;
+  return {
+    startDay,
+    endDay,
+    weekdays: days ? days.weekdays : null,
+    fromMinutes: time ? time.from : 0,
+    toMinutes: time ? time.to : 24 * 60,
+    label: [dayPart, time?.label].filter(Boolean).join(' '),
+  };
+}
+
+// Does a slot (Date) fall inside the window?
+function slotMatches(window, slot, tz) {
+  const p = zonedParts(slot, tz);
+  const key = p.year * 10000 + p.month * 100 + p.day;
+  const start = window.startDay.year * 10000 + window.startDay.month * 100 + window.startDay.day;
+  const end = window.endDay.year * 10000 + window.endDay.month * 100 + window.endDay.day;
+  if (key < start || key > end) return false;
+  if (window.weekdays && !window.weekdays.includes(p.weekday)) return false;
+  const mins = p.hour * 60 + p.minute;
+  return mins >= window.fromMinutes && mins < window.toMinutes;
+}
+
+module.exports = { parsePreferredDate, slotMatches };
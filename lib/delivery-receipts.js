@@ -0,0 +1,52 @@
+/**
+ * Telnyx delivery receipts — lib/delivery-receipts.js
+ *
+ * Telnyx posts message.sent and message.finalized events for every text we
+ * send: to the per-message webhook_url (/api/telnyx/status) when
+ * PUBLIC_BASE_URL is set, otherwise to the messaging profile's webhook
+ * (/api/telnyx/inbound). Both routes hand them here to update the message
+ * log (lib/messages.js).
+ *
+ * Recipient status → message status:
+ *   delivered                           → delivered
+ *   sending_failed / delivery_failed    → failed
+ *   anything else (queued, sent, ...)   → sent
+ */
+const { getTenant, resolveTenant } = require('./tenants');
+const { leadsAccount } = require('./leads');
+const { updateDeliveryStatus } = require('./messages');
+
+const EVENTS = ['message.sent', 'message.finalized'];
+
+function isDeliveryEvent(event) {
+  return EVENTS.includes(event?.event_type);
+}
+
+function deliveryStatus(recipientStatus) {
+  if (recipientStatus === 'delivered') return 'delivered';
+  if (recipientStatus === 'sending_failed' || recipientStatus === 'delivery_failed') return 'failed';
+  return 'sent';
+}
+
+// accountId comes from ?account= on our webhook_url; without it the
+// sending number tells us whose message it was
+function resolveAccount(accountId, fromNumber) {
+  const leads = leadsAccount();
+  if (accountId) return accountId === leads.id ? leads : getTenant(accountId);
+  return resolveTenant({ phoneNumber: fromNumber }) || null;
+}
+
+// Returns { ok, status } or { ok: false, ignored } when the event isn't ours
+async function handleDeliveryEvent(event, { accountId } = {}) {
+  const payload = event.payload || {};
+  const account = resolveAccount(accountId, payload.from?.phone_number);
+  if (!account) return { ok: false, ignored: 'unknown account' };
+  const recipient = payload.to?.[0] || {};
+  const status = deliveryStatus(recipient.status);
+  const error = payload.errors?.length ? payload.errors.map(e => e.title || e.code).join('; ') : undefined;
+  const message = await updateDeliveryStatus(account, payload.id, status, { error });
+  if (!message) return { ok: false, ignored: 'unknown message' };
+  return { ok: true, status: message.status };
+}
+
+module.exports = { isDeliveryEvent, handleDeliveryEvent, deliveryStatus };
@@ -0,0 +1,277 @@
+/**
+ * Emergency escalation — lib/escalation.js
+ *
+ * An emergency alert walks an on-call list until someone replies ACK:
+ *   1. text contact #1 and wait ackTimeoutMinutes
+ *   2. no ACK → text the next contact, and so on down the list
+ *   3. list exhausted → wait repeatIntervalMinutes and start over,
+ *      up to maxRounds rounds, then mark the escalation exhausted
+ * A contact whose text fails to send is skipped right away.
+ *
+ * Tenant config (all optional — defaults to the owner alone):
+ *   escalation: {
+ *     contacts: [{ name: 'Joe', phone: '+12815550100' }, { name: 'Ana', phone: '+12815550101' }],
+ *     ackTimeoutMinutes: 5, repeatIntervalMinutes: 10, maxRounds: 3
+ *   }
+ *
+ * Outside business hours the tenant's afterHours.emergencyPolicy applies
+ * (see lib/hours.js): escalate as usual, notify the first contact only, or
+ * defer — nobody is paged until opening time, when the cron starts the
+ * escalation.
+ *
+ * The tenant's emergency notification route (lib/notify) decides the rest:
+ * with 'sms' on it (the default) the on-call list is paged as above and the
+ * route's other channels are tried, in order, only if nobody could be
+ * texted; without 'sms' the alert just goes through the route.
+ *
+ * State lives on the emergency record (record.escalation); ids of running
+ * escalations are kept in the escalations:active set for the cron job
+ * (/api/cron/escalations) to advance.
+ */
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { sendSMS, normalizePhone } = require('./sms');
+const { storeCall } = require('./store');
+const { getBusinessStatus, afterHoursEmergencyPolicy } = require('./hours');
+const { notify, routeFor } = require('./notify');
+
+const ACTIVE_KEY = 'escalations:active';
+
+function policyFor(tenant) {
+  const p = tenant.escalation || {};
+  return {
+    contacts: p.contacts?.length ? p.contacts : [{ name: tenant.ownerName, phone: tenant.ownerPhone }],
+    ackTimeoutMinutes: p.ackTimeoutMinutes ?? 5,
+    repeatIntervalMinutes: p.repeatIntervalMinutes ?? 10,
+    maxRounds: p.maxRounds ?? 3,
+  };
+}
+
+function alertText(record, round, { ack = true } = {}) {
+  return `🚨 EMERGENCY CALL${round > 1 ? ` (reminder ${round})` : ''}\n${record.caller_name || 'Caller'} — ${record.phone}\n${record.issue}\n📍 ${record.address || 'No address given'}\n\nCall back ASAP!${ack ? ' Reply ACK to take it.' : ''}`;
+}
+
+// Non-SMS channels can't take an ACK reply, so they get a plain alert
+function notifyEmergency(tenant, record, route) {
+  return notify(tenant, 'emergency', {
+    subject: `Emergency call — ${record.caller_name || 'Caller'}, ${record.phone}`,
+    text: alertText(record, 1, { ack: false }),
+    data: { id: record.id, caller_name: record.caller_name, phone: record.phone, issue: record.issue, address: record.address, after_hours: record.after_hours },
+    about: record.phone,
+  }, { route });
+}
+
+// Text contacts from `level` onwards until one send succeeds.
+// Mutates and returns the escalation state.
+async function alertFrom(tenant, record, esc, level) {
+  const policy = policyFor(tenant);
+  const now = Date.now();
+  for (let i = level; i < policy.contacts.length; i++) {
+    const contact = policy.contacts[i];
+    const sent = await sendSMS(tenant, contact.phone, alertText(record, esc.round), {
+      purpose: 'emergency_page', ref: { id: record.id, field: 'escalation.attempts' }, about: record.phone,
+    });
+    const delivered = sent.ok;
+    esc.attempts.push({
+      contact: contact.name, phone: contact.phone, round: esc.round, at: new Date().toISOString(),
+      delivered, message_id: sent.messageId, status: sent.status,
+    });
+    if (delivered) {
+      esc.level = i;
+      esc.status = 'alerting';
+      esc.next_action_at = new Date(now + policy.ackTimeoutMinutes * 60000).toISOString();
+      return esc;
+    }
+  }
+  // Nobody reachable on this pass
+  if (esc.round < policy.maxRounds) {
+    esc.level = policy.contacts.length;
+    esc.status = 'waiting';
+    esc.next_action_at = new Date(now + policy.repeatIntervalMinutes * 60000).toISOString();
+  } else {
+    esc.status = 'exhausted';
+    esc.next_action_at = null;
+  }
+  return esc;
+}
+
+// A page that only went out on a later retry still reached the contact
+function wasReached(attempt) {
+  return attempt.delivered || attempt.status === 'sent' || attempt.status === 'delivered';
+}
+
+async function setActive(store, id, active) {
+  if (active) await store.addToSet(ACTIVE_KEY, id);
+  else await store.removeFromSet(ACTIVE_KEY, id);
+}
+
+// Same move as retryingIds() in lib/messages.js: an id array left from
+// before the set goes into it once
+async function activeIds(store) {
+  const legacy = await store.getValue(ACTIVE_KEY);
+  if (legacy) {
+    for (const id of legacy) await store.addToSet(ACTIVE_KEY, id);
+    await store.deleteValue(ACTIVE_KEY);
+  }
+  return store.getSet(ACTIVE_KEY);
+}
+
+// One emergency per call (or, without a call id, per caller and issue), so
+// a repeated alert finds the first record instead of paging everyone again
+function emergencyId(params, callId) {
+  const source = callId || `${normalizePhone(params.phone || '')}|${String(params.issue || '').trim().toLowerCase()}`;
+  return `emergency-${crypto.createHash('sha256').update(source).digest('hex').slice(0, 16)}`;
+}
+
+// Stores the emergency and alerts the first reachable contact.
+// Returns { delivered, contact, deferred, nextOpen, record, duplicate }.
+async function raiseEmergency(tenant, params, { callId } = {}) {
+  const hours = getBusinessStatus(tenant);
+  const id = emergencyId(params, callId);
+  const store = getStore(tenant);
+  const existing = store && (await store.get(id));
+  if (existing) {
+    const reachedContact = existing.escalation?.attempts.find(wasReached);
+    return {
+      delivered: !!existing.alert_sent, contact: reachedContact?.contact, deferred: existing.escalation?.status === 'deferred',
+      nextOpen: hours.nextOpen, record: existing, duplicate: true,
+    };
+  }
+  const policy = hours.open ? 'escalate' : afterHoursEmergencyPolicy(tenant);
+  const record = {
+    id,
+    type: 'emergency',
+    caller_name: params.caller_name,
+    phone: params.phone,
+    issue: params.issue,
+    address: params.address,
+    after_hours: !hours.open,
+    created_at: new Date().toISOString()
+  };
+  if (policy === 'defer' && hours.nextOpen) {
+    // The cron starts paging at opening time
+    record.escalation = { status: 'deferred', round: 0, level: 0, attempts: [], next_action_at: new Date(hours.nextOpen).toISOString() };
+    record.alert_sent = false;
+    await storeCall(tenant, record);
+    if (store) await setActive(store, record.id, true);
+    return { delivered: false, deferred: true, nextOpen: hours.nextOpen, record };
+  }
+  // No opening time to defer to (e.g. closed for weeks) — page now instead
+  await startAlerting(tenant, record, policy === 'notify' ? 'notify' : 'escalate');
+  await storeCall(tenant, record);
+  if (store && isRunning(record.escalation)) await setActive(store, record.id, true);
+  const reached = record.escalation.attempts.find(a => a.delivered);
+  return { delivered: record.alert_sent, contact: reached?.contact, deferred: false, nextOpen: hours.nextOpen, record };
+}
+
+// First alert for an emergency, through the tenant's route. Sets
+// record.escalation and alert_sent (and alert_channel); the caller saves it.
+async function startAlerting(tenant, record, policy) {
+  const route = routeFor(tenant, 'emergency');
+  if (!route.includes('sms')) {
+    const notice = await notifyEmergency(tenant, record, route);
+    record.escalation = { status: 'notified', round: 1, level: 0, attempts: [], next_action_at: null };
+    record.alert_sent = notice.delivered;
+    record.alert_channel = notice.channel;
+    return;
+  }
+  const esc = await alertFrom(tenant, record, { status: 'alerting', round: 1, level: 0, attempts: [] }, 0);
+  // notify: one text to whoever picks up first, no follow-up pages
+  if (policy === 'notify' && esc.status !== 'exhausted') {
+    esc.status = 'notified';
+    esc.next_action_at = null;
+  }
+  record.escalation = esc;
+  record.alert_sent = esc.attempts.some(a => a.delivered);
+  const fallback = route.filter(name => name !== 'sms');
+  if (!record.alert_sent && fallback.length) {
+    const notice = await notifyEmergency(tenant, record, fallback);
+    record.alert_sent = notice.delivered;
+    record.alert_channel = notice.channel;
+  }
+}
+
+// Still needs the cron: waiting to start, or waiting on an ACK / next round
+function isRunning(esc) {
+  return !!esc && !['acknowledged', 'exhausted', 'notified'].includes(esc.status);
+}
+
+// The cron's copy of the record is from before it paged anyone; an ACK may
+// have landed since. Keep the ACK (plus this tick's attempts) over our state.
+async function saveAdvanced(store, id, esc, changes = {}) {
+  const latest = await store.get(id);
+  const escalation = latest?.escalation?.status === 'acknowledged' ? { ...latest.escalation, attempts: esc.attempts } : esc;
+  await store.update(id, { ...changes, escalation });
+  if (!isRunning(escalation)) await setActive(store, id, false);
+}
+
+// Cron tick: move every overdue escalation to its next step
+async function advanceEscalations(tenant) {
+  const store = getStore(tenant);
+  if (!store) return 0;
+  const policy = policyFor(tenant);
+  const ids = await activeIds(store);
+  let advanced = 0;
+  for (const id of ids) {
+    const record = await store.get(id);
+    const esc = record?.escalation;
+    if (!isRunning(esc)) {
+      await setActive(store, id, false);
+      continue;
+    }
+    if (new Date(esc.next_action_at).getTime() > Date.now()) continue;
+    if (esc.status === 'deferred') {
+      // Opening time: page as if it had just come in
+      await startAlerting(tenant, record, 'escalate');
+      await saveAdvanced(store, id, record.escalation, { alert_sent: record.alert_sent, alert_channel: record.alert_channel });
+      advanced++;
+      continue;
+    }
+    let nextLevel = esc.level + 1;
+    if (nextLevel >= policy.contacts.length) {
+      if (esc.round >= policy.maxRounds) {
+        esc.status = 'exhausted';
+        esc.next_action_at = null;
+        await saveAdvanced(store, id, esc);
+        console.error(`ESCALATION_EXHAUSTED: ${tenant.id} ${id} — nobody acknowledged`);
+        advanced++;
+        continue;
+      }
+      esc.round += 1;
+      nextLevel = 0;
+    }
+    await alertFrom(tenant, record, esc, nextLevel);
+    await saveAdvanced(store, id, esc, { alert_sent: record.alert_sent || esc.attempts.some(a => a.delivered) });
+    advanced++;
+  }
+  return advanced;
+}
+
+// Inbound "ACK" from an on-call contact. Acknowledges the newest running
+// escalation that texted this number; returns true if one was found.
+async function acknowledge(tenant, fromPhone) {
+  const store = getStore(tenant);
+  if (!store) return false;
+  const from = normalizePhone(fromPhone);
+  const ids = await activeIds(store);
+  const records = (await Promise.all(ids.map(id => store.get(id)))).filter(Boolean)
+    .filter(r => r.escalation?.attempts.some(a => wasReached(a) && normalizePhone(a.phone) === from))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  const record = records[0];
+  if (!record) return false;
+  const esc = record.escalation;
+  const contact = esc.attempts.find(a => normalizePhone(a.phone) === from).contact;
+  esc.status = 'acknowledged';
+  esc.acknowledged_by = contact;
+  esc.acknowledged_at = new Date().toISOString();
+  esc.next_action_at = null;
+  await store.update(record.id, { escalation: esc });
+  await setActive(store, record.id, false);
+  await sendSMS(tenant, from, `✅ Got it — you've got the emergency for ${record.caller_name || 'the caller'} (${record.phone}).`, { about: record.phone });
+  // Let everyone else who was paged know they can stand down
+  const others = [...new Set(esc.attempts.filter(a => wasReached(a) && normalizePhone(a.phone) !== from).map(a => normalizePhone(a.phone)))];
+  await Promise.all(others.map(p => sendSMS(tenant, p, `✅ ${contact} acknowledged the emergency for ${record.caller_name || 'the caller'} (${record.phone}).`, { about: record.phone })));
+  return true;
+}
+
+module.exports = { raiseEmergency, advanceEscalations, acknowledge };
@@ -0,0 +1,95 @@
+/**
+ * Business hours, holidays and after-hours rules — lib/hours.js
+ *
+ * Tenant config (times are local to tenant.timezone):
+ *   hours: {
+ *     mon: ['08:00-17:00'], tue: ['08:00-17:00'], wed: ['08:00-12:00', '13:00-17:00'],
+ *     thu: ['08:00-17:00'], fri: ['08:00-17:00'], sat: [], sun: []
+ *   },
+ *   holidays: ['2026-12-25', { date: '2026-11-26', name: 'Thanksgiving' }],
+ *   afterHours: { emergencyPolicy: 'escalate' | 'notify' | 'defer' }
+ *
+ * Emergency policies outside business hours:
+ *   escalate — page the on-call list as usual (default)
+ *   notify   — text the first contact once, no escalation chain
+ *   defer    — log it and page the on-call list when we open
+ *
+ * Default hours are Mon–Fri 8am–5pm.
+ */
+const { WEEKDAYS, zonedParts, zonedTimeToUtc, addDays, dateKey, formatRelative } = require('./time');
+
+const DEFAULT_HOURS = {
+  mon: ['08:00-17:00'], tue: ['08:00-17:00'], wed: ['08:00-17:00'],
+  thu: ['08:00-17:00'], fri: ['08:00-17:00'], sat: [], sun: [],
+};
+const LOOKAHEAD_DAYS = 21;
+
+function holidayOn(tenant, ymd) {
+  const key = dateKey(ymd);
+  const match = (tenant.holidays || []).find(h => (typeof h === 'string' ? h : h.date) === key);
+  if (!match) return null;
+  return typeof match === 'string' ? { date: match, name: 'Holiday' } : { name: 'Holiday', ...match };
+}
+
+// Open intervals for one local date, as UTC { start, end } Dates
+function openIntervals(tenant, ymd) {
+  if (holidayOn(tenant, ymd)) return [];
+  const weekday = addDays(ymd, 0).weekday;
+  const ranges = (tenant.hours || DEFAULT_HOURS)[WEEKDAYS[weekday]] || [];
+  return ranges.map(range => {
+    const [from, to] = range.split('-').map(t => t.split(':').map(Number));
+    return {
+      start: zonedTimeToUtc({ ...ymd, hour: from[0], minute: from[1] || 0 }, tenant.timezone),
+      end: zonedTimeToUtc({ ...ymd, hour: to[0], minute: to[1] || 0 }, tenant.timezone),
+    };
+  });
+}
+
+// { open, closesAt, nextOpen, holiday } at `now`
+function getBusinessStatus(tenant, now = new Date()) {
+  const today = zonedParts(now, tenant.timezone);
+  const holiday = holidayOn(tenant, today);
+  for (let i = 0; i < LOOKAHEAD_DAYS; i++) {
+    for (const iv of openIntervals(tenant, addDays(today, i))) {
+      if (now >= iv.start && now < iv.end) return { open: true, closesAt: iv.end, nextOpen: null, holiday };
+      if (iv.start > now) return { open: false, closesAt: null, nextOpen: iv.start, holiday };
+    }
+  }
+  return { open: false, closesAt: null, nextOpen: null, holiday };
+}
+
+// True if `date` falls inside business hours
+function isOpenAt(tenant, date) {
+  const ymd = zonedParts(date, tenant.timezone);
+  return openIntervals(tenant, ymd).some(iv => date >= iv.start && date < iv.end);
+}
+
+function isHoliday(tenant, date) {
+  return !!holidayOn(tenant, zonedParts(date, tenant.timezone));
+}
+
+// End of the nth upcoming day that has any opening hours
+function endOfOpenDays(tenant, from, n) {
+  const start = zonedParts(from, tenant.timezone);
+  let seen = 0;
+  for (let i = 0; i < LOOKAHEAD_DAYS; i++) {
+    const intervals = openIntervals(tenant, addDays(start, i));
+    const last = intervals[intervals.length - 1];
+    if (last && last.end > from && ++seen === n) return last.end;
+  }
+  return new Date(from.getTime() + n * 86400000);
+}
+
+// "We're open until 5pm." / "We're closed for Thanksgiving — we open Monday at 8am."
+function describeStatus(tenant, status, now = new Date()) {
+  if (status.open) return `${tenant.businessName} is open right now, until ${formatRelative(status.closesAt, tenant.timezone, now).replace(/^today at /, '')}.`;
+  const why = status.holiday ? ` for ${status.holiday.name}` : '';
+  if (!status.nextOpen) return `${tenant.businessName} is closed right now${why}.`;
+  return `${tenant.businessName} is closed right now${why}. We open ${formatRelative(status.nextOpen, tenant.timezone, now)}.`;
+}
+
+function afterHoursEmergencyPolicy(tenant) {
+  return tenant.afterHours?.emergencyPolicy || 'escalate';
+}
+
+module.exports = { getBusinessStatus, isOpenAt, isHoliday, endOfOpenDays, describeStatus, afterHoursEmergencyPolicy };
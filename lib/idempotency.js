@@ -0,0 +1,60 @@
+/**
+ * Idempotent webhook work — lib/idempotency.js
+ *
+ * Vapi retries webhooks it didn't get a timely answer for, so the same tool
+ * call or end-of-call-report can arrive more than once. once() runs the
+ * work for a key the first time and stores its result; a retry gets the
+ * stored result back instead of booking, paging or texting again.
+ *
+ *   idem:<key>   { status: 'pending' }            while the first run works
+ *                { status: 'done', result, at }   afterwards, for 24 hours
+ *
+ * A retry that lands while the first run is still pending waits for it (up
+ * to WAIT_MS) rather than starting a second run. If the first run throws,
+ * the key is released so the next retry can try again.
+ */
+const { getStore } = require('./storage');
+
+const TTL_SECONDS = 86400;
+// Pending claims outlive any single function run, then free up again
+const PENDING_TTL_SECONDS = 120;
+const WAIT_MS = 10000;
+const POLL_MS = 250;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves to { result, replayed }. Without storage or a key the work just
+// runs — there's nothing to deduplicate against.
+// A retry that gives up waiting gets { result: null, replayed: true, pending: true }.
+async function once(tenant, key, work) {
+  const store = getStore(tenant);
+  if (!store || !key) return { result: await work(), replayed: false };
+  const storeKey = `idem:${key}`;
+
+  if (await store.claimValue(storeKey, { status: 'pending' }, { ttlSeconds: PENDING_TTL_SECONDS })) {
+    let result;
+    try {
+      result = await work();
+    } catch (e) {
+      await store.deleteValue(storeKey).catch(() => {});
+      throw e;
+    }
+    await store.setValue(storeKey, { status: 'done', result, at: new Date().toISOString() }, { ttlSeconds: TTL_SECONDS });
+    return { result, replayed: false };
+  }
+
+  const started = Date.now();
+  for (;;) {
+    const entry = await store.getValue(storeKey);
+    if (entry?.status === 'done') {
+      console.log(`IDEMPOTENT_REPLAY: ${tenant.id} ${key}`);
+      return { result: entry.result, replayed: true };
+    }
+    // Released after a failure (or the claim expired): run it ourselves
+    if (!entry) return once(tenant, key, work);
+    if (Date.now() - started >= WAIT_MS) return { result: null, replayed: true, pending: true };
+    await sleep(POLL_MS);
+  }
+}
+
+module.exports = { once };
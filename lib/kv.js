@@ -0,0 +1,41 @@
+/**
+ * Upstash / Vercel KV REST helper — lib/kv.js
+ *
+ * Sends Redis commands as JSON arrays to the REST endpoint, e.g.
+ *   await kv('SET', 'acme:optout:12815550142', '1')
+ *
+ * Most code should go through lib/storage instead of calling this directly.
+ *
+ * Env vars: KV_REST_API_URL, KV_REST_API_TOKEN
+ */
+
+function kvConfigured() {
+  return !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+}
+
+async function kv(...command) {
+  const res = await fetch(process.env.KV_REST_API_URL, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${process.env.KV_REST_API_TOKEN}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(command),
+  });
+  const data = await res.json();
+  if (!res.ok || data.error) throw new Error(`KV ${command[0]} failed: ${data.error || res.status}`);
+  return data.result;
+}
+
+// Several commands in one round trip; resolves to their results in order
+async function kvPipeline(commands) {
+  const res = await fetch(`${process.env.KV_REST_API_URL}/pipeline`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${process.env.KV_REST_API_TOKEN}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(commands),
+  });
+  const data = await res.json();
+  if (!res.ok || !Array.isArray(data)) throw new Error(`KV pipeline failed: ${data?.error || res.status}`);
+  const failed = data.find(r => r.error);
+  if (failed) throw new Error(`KV pipeline failed: ${failed.error}`);
+  return data.map(r => r.result);
+}
+
+module.exports = { kv, kvPipeline, kvConfigured };
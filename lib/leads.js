@@ -0,0 +1,159 @@
+/**
+ * Early-access leads — lib/leads.js
+ *
+ * Signups from the "Get Early Access" form on index.html. These are
+ * CallCovered's own prospects, not a tenant's callers, so they live in a
+ * separate "callcovered" namespace and texts go out from CallCovered's
+ * number.
+ *
+ * Each lead keeps the consent it was given: the exact SMS consent text
+ * (by version), when, and from which IP. When the wording on index.html
+ * changes, add a new version here and bump data-consent-version on the form.
+ *
+ * Replies to LEADS_SMS_FROM (STOP, HELP, ...) are handled against this
+ * namespace by /api/telnyx/inbound, so a lead's STOP blocks later lead texts.
+ * That only works on a number of its own, so there's no fallback to a
+ * tenant's number: without LEADS_SMS_FROM, leads are saved but not texted.
+ *
+ * Env vars: LEADS_NOTIFY_PHONE (falls back to OWNER_PHONE_NUMBER),
+ *           LEADS_SMS_FROM (required to text leads)
+ */
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { sendSMS, normalizePhone, isValidPhone } = require('./sms');
+const { maskPhone } = require('./redact');
+const { renderTemplate, DEFAULT_SMS } = require('./tenants');
+
+const CONSENT_TEXTS = {
+  '2026-10-19': 'By submitting this form, you consent to receive SMS text messages from CallCovered regarding your account and service notifications. Message frequency varies. Message and data rates may apply. Reply STOP to opt out at any time. Reply HELP for help. View our Privacy Policy and Terms of Service. Consent is not a condition of purchase. Your mobile number will not be shared with third parties for marketing purposes.',
+};
+
+const WELCOME_SMS = "Hi {name}! Thanks for your interest in CallCovered. We'll be in touch shortly to get {business} set up. Reply STOP to opt out, HELP for help.";
+
+const LIMITS = { name: 100, business: 120, email: 254 };
+
+// Pseudo-tenant so storage and sendSMS work the same as for a business
+function leadsAccount() {
+  return {
+    id: 'callcovered',
+    businessName: 'CallCovered',
+    ownerName: 'CallCovered',
+    ownerPhone: process.env.LEADS_NOTIFY_PHONE || process.env.OWNER_PHONE_NUMBER,
+    telnyx: { phoneNumber: process.env.LEADS_SMS_FROM || null },
+    kvNamespace: 'callcovered',
+    // Consent records are our evidence if a text is ever disputed (TCPA
+    // claims can be brought for four years), so they outlive call data
+    retentionDays: 1461,
+    timezone: process.env.TIMEZONE || 'America/Chicago',
+    sms: { ...DEFAULT_SMS },
+  };
+}
+
+// Texts to the dedicated leads number belong to the leads account, not to
+// whichever tenant shares the number
+function isLeadsNumber(phone) {
+  const from = leadsAccount().telnyx.phoneNumber;
+  return !!(from && phone && normalizePhone(phone) === normalizePhone(from));
+}
+
+function clean(value) {
+  return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+}
+
+// Returns { lead, errors } — errors maps field → message, empty when valid
+function validateLead(input = {}) {
+  const lead = {
+    name: clean(input.name),
+    business: clean(input.business),
+    phone: clean(input.phone),
+    email: clean(input.email).toLowerCase(),
+    consent_version: clean(input.consent_version),
+  };
+  const errors = {};
+  if (!lead.name) errors.name = 'Name is required';
+  else if (lead.name.length > LIMITS.name) errors.name = 'Name is too long';
+  if (!lead.business) errors.business = 'Business name is required';
+  else if (lead.business.length > LIMITS.business) errors.business = 'Business name is too long';
+  if (!isValidPhone(lead.phone)) errors.phone = 'Enter a valid US mobile number';
+  else lead.phone = normalizePhone(lead.phone);
+  if (lead.email && (lead.email.length > LIMITS.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(lead.email))) errors.email = 'Enter a valid email address';
+  if (!CONSENT_TEXTS[lead.consent_version]) errors.consent_version = 'Unknown consent version';
+  return { lead, errors };
+}
+
+function emailKey(email) {
+  return `lead_email:${email}`;
+}
+
+// Same phone, or same email when one was given. Emails are looked up
+// through lead_email:<email> (leads saved before it existed match by phone).
+async function findDuplicate(store, lead) {
+  const [byPhone] = await store.find({ type: 'lead', phone: lead.phone, limit: 1 });
+  if (byPhone) return byPhone;
+  if (!lead.email) return null;
+  const id = await store.getValue(emailKey(lead.email));
+  return id ? store.get(id) : null;
+}
+
+// lead: output of validateLead. Returns { record, duplicate }.
+async function captureLead(lead, { ip, userAgent }) {
+  const account = leadsAccount();
+  const store = getStore(account);
+  if (!store) throw new Error('Storage not configured');
+  const now = new Date().toISOString();
+  const consent = {
+    version: lead.consent_version,
+    text: CONSENT_TEXTS[lead.consent_version],
+    given_at: now,
+    ip,
+    user_agent: userAgent,
+  };
+
+  const existing = await findDuplicate(store, lead);
+  if (existing) {
+    // Keep the original signup; record the repeat and the newest consent
+    const record = await store.update(existing.id, {
+      submissions: (existing.submissions || 1) + 1,
+      last_submitted_at: now,
+      consents: [...(existing.consents || []), consent],
+    });
+    return { record, duplicate: true };
+  }
+
+  const record = {
+    id: `lead-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    type: 'lead',
+    name: lead.name,
+    business: lead.business,
+    phone: lead.phone,
+    email: lead.email || null,
+    consents: [consent],
+    submissions: 1,
+    created_at: now,
+  };
+  await store.save(record);
+  // Expires with the lead, so a purged lead doesn't count as a duplicate
+  if (record.email) await store.setValue(emailKey(record.email), record.id, { ttlSeconds: account.retentionDays * 86400 });
+  if (account.telnyx.phoneNumber) await textLead(account, record);
+  else console.error(`Lead ${record.id} saved but LEADS_SMS_FROM is not set — nobody was texted`);
+  console.log(`LEAD: ${record.id} ${maskPhone(record.phone)}`);
+  return { record, duplicate: false };
+}
+
+// Tell us about the lead, and welcome them
+async function textLead(account, record) {
+  if (account.ownerPhone) {
+    await sendSMS(account, account.ownerPhone,
+      `🆕 EARLY ACCESS LEAD\n${record.name} — ${record.business}\n${record.phone}${record.email ? `\n${record.email}` : ''}`,
+      { about: record.phone },
+    );
+  } else {
+    console.error(`Lead ${record.id} saved but LEADS_NOTIFY_PHONE is not set — nobody was notified`);
+  }
+  const welcome = renderTemplate(WELCOME_SMS, { name: record.name.split(' ')[0], business: record.business });
+  const sent = await sendSMS(account, record.phone, welcome, { purpose: 'lead_welcome', ref: { id: record.id, field: 'welcome_sms' } });
+  record.welcome_sms = { message_id: sent.messageId, status: sent.status };
+  await getStore(account).update(record.id, { welcome_sms: record.welcome_sms });
+}
+
+module.exports = { validateLead, captureLead, leadsAccount, isLeadsNumber, CONSENT_TEXTS };
@@ -0,0 +1,158 @@
+/**
+ * Outbound message log — lib/messages.js
+ *
+ * Every text sendSMS() hands to a provider is saved as a `message` record
+ * (indexed by the recipient's phone like any other record, and by
+ * about_phone — the caller an owner or on-call text is about), so we know
+ * what was sent, whether it went out and whether it arrived:
+ *
+ *   queued     saved, not yet accepted by the provider (or waiting to retry)
+ *   sent       accepted by the provider
+ *   delivered  the carrier confirmed delivery (Telnyx delivery receipt)
+ *   failed     rejected for good, out of retries, or the carrier gave up
+ *
+ * Provider errors that may clear up (network, 429, 5xx) are retried with
+ * exponential backoff by /api/cron/messages; ids waiting for a retry are
+ * kept in the messages:retry set.
+ *
+ * A message can point back at the record it belongs to (ref: { id, field }),
+ * e.g. { id: 'booking-123', field: 'customer_sms' } or
+ * { id: 'emergency-…', field: 'escalation.attempts' }. Status changes are
+ * copied onto that field, so bookings and emergencies show what really
+ * happened to their texts.
+ */
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+
+const RETRY_KEY = 'messages:retry';
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_SECONDS = 30;
+const PROVIDER_ID_TTL_SECONDS = 7 * 86400;
+const FINAL = ['delivered', 'failed'];
+
+// 30s, 60s, 120s, 240s after attempts 1–4
+function backoffSeconds(attempts) {
+  return BASE_BACKOFF_SECONDS * 2 ** (attempts - 1);
+}
+
+async function setRetrying(store, id, retrying) {
+  if (retrying) await store.addToSet(RETRY_KEY, id);
+  else await store.removeFromSet(RETRY_KEY, id);
+}
+
+// Ids were once a plain array value under the same name — fold any left over
+// into the set so their messages still get retried
+async function retryingIds(store) {
+  const legacy = await store.getValue(RETRY_KEY);
+  if (legacy) {
+    for (const id of legacy) await store.addToSet(RETRY_KEY, id);
+    await store.deleteValue(RETRY_KEY);
+  }
+  return store.getSet(RETRY_KEY);
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, key) => (o == null ? o : o[key]), obj);
+}
+
+// Copy the message's status onto the record it belongs to
+async function syncRef(store, message) {
+  const ref = message.ref;
+  if (!ref?.id || !ref.field) return;
+  const record = await store.get(ref.id);
+  if (!record) return;
+  const target = getPath(record, ref.field);
+  const entries = Array.isArray(target) ? target : [target];
+  const entry = entries.find(e => e && e.message_id === message.id);
+  if (!entry) return;
+  entry.status = message.status;
+  if (message.error) entry.error = message.error;
+  const top = ref.field.split('.')[0];
+  await store.update(ref.id, { [top]: record[top] });
+}
+
+// fields: { to, from, provider, text, purpose, ref, about_phone }. Returns the saved
+// record, or null without storage (the text still goes out, untracked).
+async function createMessage(tenant, fields) {
+  const store = getStore(tenant);
+  if (!store) return null;
+  const message = {
+    id: `msg-${crypto.randomUUID()}`,
+    type: 'message',
+    phone: fields.to,
+    ...fields,
+    status: 'queued',
+    attempts: 0,
+    errors: [],
+    created_at: new Date().toISOString(),
+  };
+  await store.save(message);
+  return message;
+}
+
+// result: { ok, id, error, retryable } from a provider send
+async function recordAttempt(tenant, message, result) {
+  const store = getStore(tenant);
+  if (!store || !message) return message;
+  const attempts = message.attempts + 1;
+  const changes = { attempts, last_attempt_at: new Date().toISOString() };
+  if (result.ok) {
+    Object.assign(changes, { status: 'sent', provider_id: result.id, next_attempt_at: null, error: null });
+    if (result.id) await store.setValue(`msgid:${result.id}`, message.id, { ttlSeconds: PROVIDER_ID_TTL_SECONDS });
+  } else if (result.retryable && attempts < MAX_ATTEMPTS) {
+    changes.status = 'queued';
+    changes.next_attempt_at = new Date(Date.now() + backoffSeconds(attempts) * 1000).toISOString();
+  } else {
+    Object.assign(changes, { status: 'failed', next_attempt_at: null, error: result.error });
+  }
+  changes.errors = result.ok ? message.errors : [...message.errors, { at: changes.last_attempt_at, error: result.error }];
+  const updated = await store.update(message.id, changes);
+  await setRetrying(store, message.id, updated.status === 'queued');
+  await syncRef(store, updated);
+  return updated;
+}
+
+// Queued messages whose backoff has run out
+async function dueMessages(tenant, now = Date.now()) {
+  const store = getStore(tenant);
+  if (!store) return [];
+  const ids = await retryingIds(store);
+  const due = [];
+  for (const id of ids) {
+    const message = await store.get(id);
+    if (!message || message.status !== 'queued') {
+      await setRetrying(store, id, false);
+      continue;
+    }
+    if (new Date(message.next_attempt_at).getTime() <= now) due.push(message);
+  }
+  return due;
+}
+
+// Give up on a queued message without another attempt (e.g. they opted out)
+async function cancelMessage(tenant, message, reason) {
+  const store = getStore(tenant);
+  if (!store) return;
+  const updated = await store.update(message.id, { status: 'failed', error: reason, next_attempt_at: null });
+  await setRetrying(store, message.id, false);
+  await syncRef(store, updated);
+}
+
+// Delivery receipt from the provider. Final states stick: a late "sent"
+// never overwrites "delivered". Returns the updated message or null.
+async function updateDeliveryStatus(tenant, providerId, status, { error } = {}) {
+  const store = getStore(tenant);
+  if (!store || !providerId) return null;
+  const id = await store.getValue(`msgid:${providerId}`);
+  const message = id && (await store.get(id));
+  if (!message) return null;
+  if (FINAL.includes(message.status) || message.status === status) return message;
+  const changes = { status };
+  if (status === 'delivered') changes.delivered_at = new Date().toISOString();
+  if (error) changes.error = error;
+  const updated = await store.update(message.id, changes);
+  await syncRef(store, updated);
+  return updated;
+}
+
+module.exports = { createMessage, recordAttempt, dueMessages, cancelMessage, updateDeliveryStatus, backoffSeconds, MAX_ATTEMPTS };
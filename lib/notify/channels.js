@@ -0,0 +1,68 @@
+/**
+ * Notification channels — lib/notify/channels.js
+ *
+ * Each channel delivers one message ({ subject, text, data, ref, about }) and throws
+ * when it couldn't, so lib/notify can move on to the next channel. A channel
+ * may resolve to details worth keeping (the SMS message id and status).
+ *
+ *   sms      { to }              — defaults to the owner's phone; tenant's SMS provider
+ *   email    { to }              — defaults to tenant.ownerEmail; SMTP (lib/notify/smtp.js)
+ *   slack    { webhookUrl }      — Slack incoming webhook
+ *   discord  { webhookUrl }      — Discord channel webhook
+ *   webhook  { url, secret }     — generic JSON POST; with a secret the body is
+ *                                  signed as x-callcovered-signature: sha256=<hex>
+ */
+const { sendSMS } = require('../sms');
+const { sendMail } = require('./smtp');
+const { hmacHex } = require('../signature');
+
+const HTTP_TIMEOUT_MS = 10000;
+const DISCORD_MAX_LENGTH = 2000;
+
+async function postJson(url, body, headers = {}) {
+  if (!url) throw new Error('No webhook URL configured');
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+const CHANNELS = {
+  async sms(tenant, config, message) {
+    const to = config.to || tenant.ownerPhone;
+    if (!to) throw new Error('No SMS recipient');
+    const sent = await sendSMS(tenant, to, message.text, { purpose: `notify:${message.event}`, ref: message.ref, about: message.about });
+    if (!sent.ok) throw new Error(`SMS not delivered (${sent.status})`);
+    return { message_id: sent.messageId, status: sent.status };
+  },
+
+  async email(tenant, config, message) {
+    await sendMail({ to: config.to || tenant.ownerEmail, subject: message.subject, text: message.text });
+  },
+
+  async slack(tenant, config, message) {
+    await postJson(config.webhookUrl, JSON.stringify({ text: `*${message.subject}*\n${message.text}` }));
+  },
+
+  async discord(tenant, config, message) {
+    await postJson(config.webhookUrl, JSON.stringify({ content: `**${message.subject}**\n${message.text}`.slice(0, DISCORD_MAX_LENGTH) }));
+  },
+
+  async webhook(tenant, config, message) {
+    const body = JSON.stringify({
+      event: message.event,
+      tenant: tenant.id,
+      subject: message.subject,
+      text: message.text,
+      data: message.data || null,
+      sent_at: new Date().toISOString(),
+    });
+    const headers = config.secret ? { 'x-callcovered-signature': `sha256=${hmacHex(config.secret, body)}` } : {};
+    await postJson(config.url, body, headers);
+  },
+};
+
+module.exports = { CHANNELS };
@@ -0,0 +1,65 @@
+/**
+ * Owner notifications — lib/notify/index.js
+ *
+ * notify(tenant, event, message) sends one event to the business through
+ * its channels, trying them in order until one delivers:
+ *
+ *   notifications: {
+ *     booking:      ['sms', 'email'],
+ *     emergency:    ['sms', 'ops-slack'],
+ *     call_summary: ['slack', 'sms'],
+ *   },
+ *   channels: {
+ *     email:       { to: 'joe@acmeplumbing.com' },
+ *     slack:       { webhookUrl: 'https://hooks.slack.com/services/...' },
+ *     'ops-slack': { type: 'slack', webhookUrl: '...' },   // named channel
+ *   }
+ *
+ * Events default to ['sms'] (the owner's phone). A channel's type is its
+ * `type` or, failing that, its name — see lib/notify/channels.js.
+ *
+ * Emergencies also page the on-call list by SMS (lib/escalation.js); there
+ * the other channels on the route are the fallback when nobody could be texted.
+ *
+ * message: { subject, text, data, ref, about } — text is what SMS gets, so
+ * keep it short; ref links an SMS to its record and about is the caller's
+ * phone it concerns (see lib/messages.js).
+ * Returns { delivered, channel, message_id?, status?, attempts: [{ channel, ok, error }] }.
+ */
+const { CHANNELS } = require('./channels');
+
+const EVENTS = ['booking', 'emergency', 'call_summary'];
+const DEFAULT_ROUTE = ['sms'];
+
+function routeFor(tenant, event) {
+  const route = tenant.notifications?.[event];
+  return Array.isArray(route) && route.length ? route : DEFAULT_ROUTE;
+}
+
+function channelConfig(tenant, name) {
+  const config = tenant.channels?.[name] || {};
+  return { ...config, type: config.type || name };
+}
+
+// opts.route overrides the tenant's route for this event
+async function notify(tenant, event, message, opts = {}) {
+  const route = opts.route || routeFor(tenant, event);
+  const attempts = [];
+  for (const name of route) {
+    const config = channelConfig(tenant, name);
+    const send = CHANNELS[config.type];
+    try {
+      if (!send) throw new Error(`Unknown channel type "${config.type}"`);
+      const details = await send(tenant, config, { ...message, event });
+      attempts.push({ channel: name, ok: true, ...details });
+      return { delivered: true, channel: name, ...details, attempts };
+    } catch (e) {
+      console.error(`Notify ${event} via ${name} failed for ${tenant.id}:`, e.message);
+      attempts.push({ channel: name, ok: false, error: e.message });
+    }
+  }
+  if (route.length) console.error(`NOTIFY_FAILED: ${event} for ${tenant.id} — every channel failed`);
+  return { delivered: false, channel: null, attempts };
+}
+
+module.exports = { notify, routeFor, EVENTS };
@@ -0,0 +1,170 @@
+/**
+ * Minimal SMTP client — lib/notify/smtp.js
+ *
+ * Just enough SMTP to hand one plain-text message to a relay (SendGrid,
+ * Postmark, SES, Gmail, ...): implicit TLS on 465, STARTTLS otherwise,
+ * AUTH PLAIN or LOGIN. No pooling, no attachments.
+ *
+ * Env vars: SMTP_HOST, SMTP_PORT (default 587), SMTP_USER, SMTP_PASS,
+ *           SMTP_FROM (e.g. "CallCovered <alerts@callcovered.io>")
+ */
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+
+const TIMEOUT_MS = 15000;
+
+function smtpConfig() {
+  const port = parseInt(process.env.SMTP_PORT || '587');
+  return {
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+  };
+}
+
+function smtpConfigured() {
+  const c = smtpConfig();
+  return !!(c.host && c.from);
+}
+
+// Reads complete (possibly multi-line) replies: resolves { code, text }
+function replyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiters = [];
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let idx;
+    while ((idx = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, idx).replace(/\r$/, '');
+      buffer = buffer.slice(idx + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3)), text: lines.join('\n') };
+        lines = [];
+        const waiter = waiters.shift();
+        if (waiter) waiter.resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  };
+  const onEnd = err => {
+    failure = err instanceof Error ? err : new Error('SMTP connection closed');
+    while (waiters.length) waiters.shift().reject(failure);
+  };
+  socket.on('data', onData);
+  socket.on('error', onEnd);
+  socket.on('close', onEnd);
+  return {
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+    // Before a STARTTLS upgrade hands the socket to tls
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onEnd);
+      socket.off('close', onEnd);
+    },
+  };
+}
+
+function open(config) {
+  return new Promise((resolve, reject) => {
+    const options = { host: config.host, port: config.port, servername: config.host };
+    const socket = config.secure ? tls.connect(options) : net.connect(options);
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+    socket.once(config.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: host });
+    secure.setTimeout(TIMEOUT_MS, () => secure.destroy(new Error('SMTP timeout')));
+    secure.once('secureConnect', () => resolve(secure));
+    secure.once('error', reject);
+  });
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function address(value) {
+  const m = String(value).match(/<([^>]+)>/);
+  return m ? m[1] : String(value).trim();
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const domain = address(from).split('@')[1] || 'localhost';
+  const body = Buffer.from(text).toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+// to: address or array of addresses. Resolves once the relay accepts the
+// message; rejects with the server's reply otherwise.
+async function sendMail({ to, subject, text }, config = smtpConfig()) {
+  if (!config.host || !config.from) throw new Error('SMTP not configured');
+  const recipients = [].concat(to).filter(Boolean);
+  if (!recipients.length) throw new Error('No email recipient');
+
+  let socket = await open(config);
+  let reader = replyReader(socket);
+  const expect = async (line, codes) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) throw new Error(`SMTP ${line === null ? 'greeting' : line.split(' ')[0]} failed: ${reply.text}`);
+    return reply;
+  };
+
+  try {
+    await expect(null, [220]);
+    let ehlo = await expect('EHLO callcovered', [250]);
+    if (!config.secure) {
+      if (!/STARTTLS/i.test(ehlo.text)) throw new Error('SMTP server does not offer STARTTLS');
+      await expect('STARTTLS', [220]);
+      reader.detach();
+      socket = await upgrade(socket, config.host);
+      reader = replyReader(socket);
+      ehlo = await expect('EHLO callcovered', [250]);
+    }
+    if (config.user) {
+      if (/AUTH[ =][^\n]*PLAIN/i.test(ehlo.text)) {
+        await expect(`AUTH PLAIN ${Buffer.from(`\0${config.user}\0${config.pass}`).toString('base64')}`, [235]);
+      } else {
+        await expect('AUTH LOGIN', [334]);
+        await expect(Buffer.from(config.user).toString('base64'), [334]);
+        await expect(Buffer.from(config.pass || '').toString('base64'), [235]);
+      }
+    }
+    await expect(`MAIL FROM:<${address(config.from)}>`, [250]);
+    for (const rcpt of recipients) await expect(`RCPT TO:<${address(rcpt)}>`, [250, 251]);
+    await expect('DATA', [354]);
+    await expect(`${buildMessage({ from: config.from, to: recipients, subject, text })}\r\n.`, [250]);
+    socket.write('QUIT\r\n');
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = { sendMail, smtpConfigured };
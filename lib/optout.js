@@ -0,0 +1,45 @@
+/**
+ * SMS suppression list — lib/optout.js
+ *
+ * Numbers that texted STOP (or another opt-out keyword) to a tenant's number.
+ * Stored per tenant as the value optout:<digits> → ISO timestamp of the opt-out.
+ * Without storage the list only lives in this instance's memory, so we log loudly.
+ */
+const { getStore } = require('./storage');
+const { createMemoryStore } = require('./storage/memory');
+const { maskPhone } = require('./redact');
+
+// Carrier-standard keywords (CTIA)
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const START_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+function optOutKey(phone) {
+  return `optout:${String(phone).replace(/\D/g, '')}`;
+}
+
+function optOutStore(tenant) {
+  return getStore(tenant) || createMemoryStore(`optout:${tenant.kvNamespace}`);
+}
+
+async function isOptedOut(tenant, phone) {
+  return !!(await optOutStore(tenant).getValue(optOutKey(phone)));
+}
+
+async function setOptedOut(tenant, phone, optedOut) {
+  if (!getStore(tenant)) console.error(`Storage not configured — opt-out for ${maskPhone(phone)} is not persisted`);
+  const store = optOutStore(tenant);
+  if (optedOut) await store.setValue(optOutKey(phone), new Date().toISOString());
+  else await store.deleteValue(optOutKey(phone));
+}
+
+// Returns 'stop' | 'start' | 'help' | null for an inbound message body
+function matchKeyword(text) {
+  const word = String(text || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+  if (STOP_KEYWORDS.includes(word)) return 'stop';
+  if (START_KEYWORDS.includes(word)) return 'start';
+  if (HELP_KEYWORDS.includes(word)) return 'help';
+  return null;
+}
+
+module.exports = { isOptedOut, setOptedOut, matchKeyword };
@@ -0,0 +1,109 @@
+/**
+ * Call outcome — lib/outcome.js
+ *
+ * Works out what actually happened on a call for the end-of-call-report:
+ *   1. tool calls made during the call (recorded per call ID as they run)
+ *   2. Vapi analysis.structuredData, when the assistant has a schema set up
+ *   3. keyword matching on the summary — last resort only
+ *
+ * Structured data fields read: booked / appointmentBooked,
+ * emergency / isEmergency, jobType / serviceType.
+ */
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { classifyJob, normalizeJobType } = require('./trades');
+
+const TOOL_LOG_TTL_SECONDS = 86400;
+
+function toolLogKey(callId) {
+  return `toolcalls:${callId}`;
+}
+
+// entry: { name, success, ...details } — called after every tool runs.
+// Vapi can run a call's tools in parallel, so entries go into a set (each
+// with its own id) rather than a read-modify-write list.
+async function recordToolCall(tenant, callId, entry) {
+  const store = getStore(tenant);
+  if (!store || !callId) return;
+  try {
+    const logged = { id: crypto.randomUUID(), ...entry, at: new Date().toISOString() };
+    await store.addToSet(toolLogKey(callId), JSON.stringify(logged), { ttlSeconds: TOOL_LOG_TTL_SECONDS });
+  } catch (e) {
+    console.error('Tool call log error:', e.message);
+  }
+}
+
+// In the order they ran. Calls logged before the set are a plain array value.
+async function getToolCalls(tenant, callId) {
+  const store = getStore(tenant);
+  if (!store || !callId) return [];
+  const legacy = (await store.getValue(toolLogKey(callId))) || [];
+  const logged = (await store.getSet(toolLogKey(callId))).map(e => JSON.parse(e));
+  return [...legacy, ...logged].sort((a, b) => a.at.localeCompare(b.at));
+}
+
+async function deleteToolCalls(tenant, callId) {
+  const store = getStore(tenant);
+  if (!store || !callId) return;
+  await store.deleteValue(toolLogKey(callId));
+  await store.deleteSet(toolLogKey(callId));
+}
+
+function firstDefined(...values) {
+  return values.find(v => typeof v === 'boolean');
+}
+
+// True if any keyword appears without a negation just before it
+// ("no emergency", "not urgent", "wasn't booked")
+function mentions(text, keywords) {
+  const lower = String(text || '').toLowerCase();
+  return keywords.some(k => {
+    const re = new RegExp(`(\\b(no|not|non|wasn't|isn't|never|without)\\b[\\s-]+(\\w+\\s+)?)?\\b${k}`, 'g');
+    let m;
+    while ((m = re.exec(lower))) if (!m[1]) return true;
+    return false;
+  });
+}
+
+function determineOutcome(tenant, report, toolCalls = []) {
+  const structured = report.analysis?.structuredData || {};
+  const summary = report.summary || '';
+
+  const bookingCalls = toolCalls.filter(t => t.name === 'book_appointment');
+  const emergencyCalls = toolCalls.filter(t => t.name === 'send_emergency_alert');
+
+  let booked, bookedSource;
+  if (bookingCalls.length) {
+    // A failed booking attempt means not booked, whatever the summary says
+    booked = bookingCalls.some(t => t.success);
+    bookedSource = 'tool';
+  } else if (firstDefined(structured.booked, structured.appointmentBooked) !== undefined) {
+    booked = firstDefined(structured.booked, structured.appointmentBooked);
+    bookedSource = 'structured';
+  } else {
+    booked = mentions(summary, ['booked', 'confirmed', 'scheduled']);
+    bookedSource = 'summary';
+  }
+
+  let emergency, emergencySource;
+  if (emergencyCalls.length) {
+    emergency = true;
+    emergencySource = 'tool';
+  } else if (firstDefined(structured.emergency, structured.isEmergency) !== undefined) {
+    emergency = firstDefined(structured.emergency, structured.isEmergency);
+    emergencySource = 'structured';
+  } else {
+    emergency = mentions(summary, ['emergency', 'urgent']);
+    emergencySource = 'summary';
+  }
+
+  const jobText = toolCalls.map(t => t.job_description || t.issue || '').join(' ');
+  const jobType = normalizeJobType(tenant, structured.jobType || structured.serviceType)
+    || classifyJob(tenant, jobText)
+    || classifyJob(tenant, summary)
+    || 'Inbound Call';
+
+  return { booked, emergency, jobType, sources: { booked: bookedSource, emergency: emergencySource } };
+}
+
+module.exports = { recordToolCall, getToolCalls, deleteToolCalls, determineOutcome };
@@ -0,0 +1,24 @@
+/**
+ * Fixed-window rate limiting — lib/ratelimit.js
+ *
+ * Counts hits per key in a stored value that expires with its window:
+ *   ratelimit:<key> → { count, reset_at }
+ * Good enough for spam control on public forms; it is not atomic, so a
+ * burst of parallel requests can slip a few over the limit.
+ */
+
+// Returns { allowed, retryAfterSeconds }
+async function rateLimit(store, key, { limit, windowSeconds }) {
+  const storeKey = `ratelimit:${key}`;
+  const now = Date.now();
+  const current = await store.getValue(storeKey);
+  const window = current && current.reset_at > now ? current : { count: 0, reset_at: now + windowSeconds * 1000 };
+  if (window.count >= limit) {
+    return { allowed: false, retryAfterSeconds: Math.ceil((window.reset_at - now) / 1000) };
+  }
+  window.count += 1;
+  await store.setValue(storeKey, window, { ttlSeconds: Math.ceil((window.reset_at - now) / 1000) });
+  return { allowed: true, retryAfterSeconds: 0 };
+}
+
+module.exports = { rateLimit };
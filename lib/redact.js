@@ -0,0 +1,29 @@
+/**
+ * Log redaction — lib/redact.js
+ *
+ * Function logs are kept by the hosting provider outside our retention
+ * window, so caller PII never goes into them in the clear:
+ *   maskPhone('+12815550142')  → '+1******0142'
+ *   redact(text)               → phone numbers and emails masked in free text
+ * Transcripts and summaries are never logged at all.
+ */
+
+function maskPhone(phone) {
+  const s = String(phone || '');
+  const d = s.replace(/\D/g, '');
+  if (d.length < 7) return s ? '***' : s;
+  return `${s.startsWith('+') ? '+' : ''}${d.slice(0, d.length > 10 ? d.length - 10 : 0)}${'*'.repeat(Math.min(d.length, 10) - 4)}${d.slice(-4)}`;
+}
+
+function maskEmail(email) {
+  const [user, domain] = email.split('@');
+  return `${user.charAt(0)}***@${domain}`;
+}
+
+function redact(text) {
+  return String(text ?? '')
+    .replace(/[\w.+-]+@[\w-]+\.[\w.-]+/g, maskEmail)
+    .replace(/\+?\d[\d\s().-]{8,}\d/g, m => (m.replace(/\D/g, '').length >= 10 ? maskPhone(m) : m));
+}
+
+module.exports = { maskPhone, redact };
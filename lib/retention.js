@@ -0,0 +1,69 @@
+/**
+ * Data retention and data-subject requests — lib/retention.js
+ *
+ * purgeExpired(tenant)           — daily cron: drops records older than
+ *                                  tenant.retentionDays (default 30, as the
+ *                                  privacy policy promises) and their index entries
+ * exportCallerData(tenant, phone) — everything stored for one phone number
+ * deleteCallerData(tenant, phone) — erases it
+ *
+ * Per-phone data: records indexed by the phone (calls, bookings,
+ * emergencies, and logged texts — those sent to the number and the owner /
+ * on-call texts about it), their tool call logs (toolcalls:<callId>), and
+ * the values sms_state:<digits> and optout:<digits>. The opt-out is kept on delete —
+ * it's the only thing that stops us texting the number again.
+ */
+const { getStore } = require('./storage');
+const { phoneDigits } = require('./storage/query');
+const { getToolCalls, deleteToolCalls } = require('./outcome');
+
+const ACTIVE_ESCALATIONS_KEY = 'escalations:active';
+const RETRY_KEY = 'messages:retry';
+
+async function purgeExpired(tenant, now = new Date()) {
+  const store = getStore(tenant);
+  if (!store) return 0;
+  const before = new Date(now.getTime() - tenant.retentionDays * 86400000);
+  return store.purge(before);
+}
+
+async function exportCallerData(tenant, phone) {
+  const store = getStore(tenant);
+  const digits = phoneDigits(phone);
+  const records = await store.find({ phone: digits });
+  const toolCalls = {};
+  for (const r of records.filter(r => r.type === 'call')) {
+    const calls = await getToolCalls(tenant, r.id);
+    if (calls.length) toolCalls[r.id] = calls;
+  }
+  return {
+    phone: `+${digits}`,
+    exported_at: new Date().toISOString(),
+    records,
+    tool_calls: toolCalls,
+    opted_out_at: await store.getValue(`optout:${digits}`),
+    sms_state: await store.getValue(`sms_state:${digits}`),
+  };
+}
+
+// Returns { records, ids } — how many records went and which
+async function deleteCallerData(tenant, phone) {
+  const store = getStore(tenant);
+  const digits = phoneDigits(phone);
+  const records = await store.find({ phone: digits });
+  const ids = records.map(r => r.id);
+  for (const r of records) {
+    await store.remove(r.id);
+    if (r.type === 'call') await deleteToolCalls(tenant, r.id);
+    if (r.type === 'message') {
+      if (r.provider_id) await store.deleteValue(`msgid:${r.provider_id}`);
+      await store.removeFromSet(RETRY_KEY, r.id);
+    }
+  }
+  await store.deleteValue(`sms_state:${digits}`);
+  // Don't leave a deleted emergency on the escalation cron's list
+  for (const id of ids) await store.removeFromSet(ACTIVE_ESCALATIONS_KEY, id);
+  return { records: ids.length, ids };
+}
+
+module.exports = { purgeExpired, exportCallerData, deleteCallerData };
@@ -0,0 +1,181 @@
+/**
+ * Webhook signature verification — lib/signature.js
+ *
+ * One verifier for every inbound callback route. Each provider signs the raw
+ * request body; we check the signature in constant time against up to two
+ * active secrets (current + previous, for rotation) and reject anything whose
+ * timestamp is outside the tolerance window to stop replays.
+ *
+ *   vapi   — x-vapi-signature: hex HMAC-SHA256 of "<timestamp>.<raw body>"
+ *            x-vapi-timestamp: unix seconds
+ *            secrets: VAPI_SIGNING_SECRET, VAPI_SIGNING_SECRET_PREVIOUS
+ *            legacy: x-vapi-secret equal to VAPI_SECRET (the plain shared
+ *            secret older deployments use) is still accepted, so setting
+ *            up signing doesn't lock out a running assistant
+ *   calcom — x-cal-signature-256: hex HMAC-SHA256 of the raw body
+ *            timestamp: the payload's createdAt
+ *            secrets: tenant.calcom.webhookSecrets, else CALCOM_WEBHOOK_SECRET(_PREVIOUS)
+ *   telnyx — telnyx-signature-ed25519: base64 Ed25519 signature of "<timestamp>|<raw body>"
+ *            telnyx-timestamp: unix seconds
+ *            keys: TELNYX_PUBLIC_KEY, TELNYX_PUBLIC_KEY_PREVIOUS (base64, from the portal)
+ *
+ * A provider with no secrets configured is not checked (verification is
+ * opt-in per deployment, as before).
+ *
+ * Env vars: WEBHOOK_TOLERANCE_SECONDS (defaults to 300)
+ */
+const crypto = require('crypto');
+
+// DER prefix that turns a raw 32-byte Ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function toleranceSeconds() {
+  return parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300');
+}
+
+function activeSecrets(...values) {
+  return values.filter(Boolean);
+}
+
+// Route files export `config = { api: { bodyParser: false } }` so the stream
+// is still unread here. null means the runtime already parsed the body: the
+// original bytes are gone, and re-serializing them would never match a
+// signature.
+async function readRawBody(req) {
+  if (typeof req.rawBody === 'string' || Buffer.isBuffer(req.rawBody)) return String(req.rawBody);
+  if (req.readable && !req.readableEnded) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    return Buffer.concat(chunks).toString('utf8');
+  }
+  if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) return String(req.body);
+  return req.body ? null : '';
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  // timingSafeEqual throws on length mismatch; compare against itself to keep timing flat
+  if (bufA.length !== bufB.length) {
+    crypto.timingSafeEqual(bufA, bufA);
+    return false;
+  }
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function hmacHex(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function withinTolerance(timestampSeconds, now = Date.now()) {
+  if (!Number.isFinite(timestampSeconds)) return false;
+  return Math.abs(now / 1000 - timestampSeconds) <= toleranceSeconds();
+}
+
+function verifyHmac({ secrets, payload, signature }) {
+  if (!signature) return false;
+  const given = String(signature).replace(/^sha256=/, '').toLowerCase();
+  // Check every secret so the time taken doesn't reveal which one matched
+  let matched = false;
+  for (const secret of secrets) {
+    if (safeEqual(hmacHex(secret, payload), given)) matched = true;
+  }
+  return matched;
+}
+
+function verifyEd25519({ publicKeys, payload, signature }) {
+  if (!signature) return false;
+  let matched = false;
+  for (const key of publicKeys) {
+    try {
+      const keyObject = crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(key, 'base64')]),
+        format: 'der',
+        type: 'spki',
+      });
+      if (crypto.verify(null, Buffer.from(payload), keyObject, Buffer.from(signature, 'base64'))) matched = true;
+    } catch (e) { /* malformed key or signature — not a match */ }
+  }
+  return matched;
+}
+
+// ── Per-provider checks ──
+// Each returns { ok: true } or { ok: false, reason }
+
+// A signature can't be checked without the raw body — a deployment problem,
+// not a bad request, so it gets a 500 that says what to fix
+const BODY_ALREADY_PARSED = {
+  ok: false,
+  status: 500,
+  reason: 'bodyParser must be disabled for this route (export config = { api: { bodyParser: false } })',
+};
+
+function checkVapi(headers, rawBody) {
+  const secrets = activeSecrets(process.env.VAPI_SIGNING_SECRET, process.env.VAPI_SIGNING_SECRET_PREVIOUS);
+  const legacySecret = process.env.VAPI_SECRET;
+  if (!secrets.length && !legacySecret) return { ok: true, skipped: true };
+  const sharedSecret = headers['x-vapi-secret'];
+  if (legacySecret && sharedSecret && safeEqual(String(sharedSecret), legacySecret)) return { ok: true, legacy: true };
+  if (!secrets.length) return { ok: false, reason: 'bad secret' };
+  if (rawBody === null) return BODY_ALREADY_PARSED;
+  const timestamp = headers['x-vapi-timestamp'];
+  if (!withinTolerance(parseInt(timestamp))) return { ok: false, reason: 'stale or missing timestamp' };
+  const ok = verifyHmac({ secrets, payload: `${timestamp}.${rawBody}`, signature: headers['x-vapi-signature'] });
+  return ok ? { ok } : { ok, reason: 'bad signature' };
+}
+
+function checkCalcom(headers, rawBody, tenant) {
+  const secrets = tenant?.calcom?.webhookSecrets?.length
+    ? tenant.calcom.webhookSecrets
+    : activeSecrets(process.env.CALCOM_WEBHOOK_SECRET, process.env.CALCOM_WEBHOOK_SECRET_PREVIOUS);
+  if (!secrets.length) return { ok: true, skipped: true };
+  if (rawBody === null) return BODY_ALREADY_PARSED;
+  const ok = verifyHmac({ secrets, payload: rawBody, signature: headers['x-cal-signature-256'] });
+  if (!ok) return { ok, reason: 'bad signature' };
+  // Cal.com sends no timestamp header; the signed payload carries createdAt
+  let createdAt;
+  try { createdAt = JSON.parse(rawBody).createdAt; } catch (e) { /* handled below */ }
+  if (!withinTolerance(new Date(createdAt).getTime() / 1000)) return { ok: false, reason: 'stale or missing timestamp' };
+  return { ok };
+}
+
+function checkTelnyx(headers, rawBody) {
+  const publicKeys = activeSecrets(process.env.TELNYX_PUBLIC_KEY, process.env.TELNYX_PUBLIC_KEY_PREVIOUS);
+  if (!publicKeys.length) return { ok: true, skipped: true };
+  if (rawBody === null) return BODY_ALREADY_PARSED;
+  const timestamp = headers['telnyx-timestamp'];
+  if (!withinTolerance(parseInt(timestamp))) return { ok: false, reason: 'stale or missing timestamp' };
+  const ok = verifyEd25519({ publicKeys, payload: `${timestamp}|${rawBody}`, signature: headers['telnyx-signature-ed25519'] });
+  return ok ? { ok } : { ok, reason: 'bad signature' };
+}
+
+const CHECKS = { vapi: checkVapi, calcom: checkCalcom, telnyx: checkTelnyx };
+
+// Reads the raw body, verifies it for `provider` and parses it.
+// Returns { ok, body, rawBody } or { ok: false, status, error } ready to send back.
+async function verifyWebhook(req, provider, tenant) {
+  const rawBody = await readRawBody(req);
+  const result = CHECKS[provider](req.headers || {}, rawBody, tenant);
+  if (result.status) {
+    console.error(`Can't verify ${provider} webhook: ${result.reason}`);
+    return { ok: false, status: result.status, error: result.reason };
+  }
+  if (!result.ok) {
+    console.warn(`Rejected ${provider} webhook (${result.reason}) from:`, req.headers?.['x-forwarded-for'] || 'unknown');
+    return { ok: false, status: 401, error: 'Unauthorized' };
+  }
+  let body;
+  try {
+    // Unsigned (or legacy shared-secret) requests can use what the runtime parsed
+    body = rawBody === null ? req.body : rawBody ? JSON.parse(rawBody) : {};
+  } catch (e) {
+    return { ok: false, status: 400, error: 'Invalid JSON' };
+  }
+  // Every provider posts a JSON object; null, arrays and bare values are malformed
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { ok: false, status: 400, error: 'Expected a JSON object' };
+  }
+  return { ok: true, body, rawBody };
+}
+
+module.exports = { verifyWebhook, verifyHmac, readRawBody, hmacHex };
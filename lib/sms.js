@@ -0,0 +1,209 @@
+/**
+ * SMS sending (Telnyx or Twilio) — lib/sms.js
+ *
+ * No SDK needed — plain fetch. Every message is checked against the tenant's
+ * suppression list (lib/optout.js) before it goes out, and logged with its
+ * delivery status (lib/messages.js); retryable failures are retried by
+ * /api/cron/messages.
+ *
+ * tenant.smsProvider picks the carrier ('telnyx' by default):
+ *   telnyx: { phoneNumber }                          + TELNYX_API_KEY
+ *   twilio: { phoneNumber, accountSid, authToken }   (or TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN)
+ *
+ * Env vars: TELNYX_API_KEY, TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN,
+ *           PUBLIC_BASE_URL (for Telnyx delivery receipts),
+ *           TELNYX_API_URL / TWILIO_API_URL (optional — override the API
+ *           hosts, e.g. with the test suite's local stand-ins)
+ */
+const { isOptedOut } = require('./optout');
+const { maskPhone, redact } = require('./redact');
+const { createMessage, recordAttempt, dueMessages, cancelMessage } = require('./messages');
+
+// 10-digit US numbers get a country code; everything ends up E.164
+function normalizePhone(phone) {
+  let normalized = String(phone).replace(/\D/g, '');
+  if (normalized.length === 10) normalized = '1' + normalized;
+  return '+' + normalized;
+}
+
+// US/Canada mobile or landline after normalizePhone — what we can text
+function isValidPhone(phone) {
+  return /^\+1[2-9]\d{2}[2-9]\d{6}$/.test(normalizePhone(phone));
+}
+
+// 429 and 5xx may clear up on their own; other rejections won't
+function retryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function telnyxUrl(path) {
+  return `${process.env.TELNYX_API_URL || 'https://api.telnyx.com'}${path}`;
+}
+
+function twilioUrl(path) {
+  return `${process.env.TWILIO_API_URL || 'https://api.twilio.com'}${path}`;
+}
+
+// Each provider sends one message and resolves to { ok, id, error, retryable },
+// and checks that the "from" number can send (for /api/health) → { ok, message }
+const PROVIDERS = {
+  telnyx: {
+    from: tenant => tenant.telnyx?.phoneNumber,
+    configured: () => !!process.env.TELNYX_API_KEY,
+    async send(tenant, from, to, text) {
+      const payload = { from, to, text };
+      // Delivery receipts for this message go to /api/telnyx/status
+      if (process.env.PUBLIC_BASE_URL) payload.webhook_url = `${process.env.PUBLIC_BASE_URL}/api/telnyx/status?account=${encodeURIComponent(tenant.id)}`;
+      const res = await fetch(telnyxUrl('/v2/messages'), {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${process.env.TELNYX_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+      });
+      const data = await res.json().catch(() => null);
+      return res.ok
+        ? { ok: true, id: data?.data?.id }
+        : { ok: false, error: JSON.stringify(data) || `HTTP ${res.status}`, retryable: retryableStatus(res.status) };
+    },
+    // The number has to be active and on an enabled messaging profile
+    async check(tenant, from) {
+      const headers = { 'Authorization': `Bearer ${process.env.TELNYX_API_KEY}` };
+      const res = await fetch(telnyxUrl(`/v2/phone_numbers?filter[phone_number]=${encodeURIComponent(from)}`), { headers });
+      if (!res.ok) return { ok: false, message: `Telnyx HTTP ${res.status} — check TELNYX_API_KEY` };
+      const number = (await res.json())?.data?.[0];
+      if (!number) return { ok: false, message: `${from} is not on this Telnyx account` };
+      if (number.status !== 'active') return { ok: false, message: `${from} is ${number.status}` };
+      if (!number.messaging_profile_id) return { ok: false, message: `${from} has no messaging profile` };
+      const profileRes = await fetch(telnyxUrl(`/v2/messaging_profiles/${number.messaging_profile_id}`), { headers });
+      if (!profileRes.ok) return { ok: false, message: `Messaging profile lookup failed: HTTP ${profileRes.status}` };
+      const profile = (await profileRes.json())?.data;
+      if (profile?.enabled === false) return { ok: false, message: `Messaging profile "${profile.name}" is disabled` };
+      return { ok: true, message: `${from} active on messaging profile "${profile?.name || number.messaging_profile_id}"` };
+    },
+  },
+  twilio: {
+    from: tenant => tenant.twilio?.phoneNumber,
+    configured: tenant => !!(twilioCredentials(tenant).accountSid && twilioCredentials(tenant).authToken),
+    async send(tenant, from, to, text) {
+      const { accountSid, authToken } = twilioCredentials(tenant);
+      const res = await fetch(twilioUrl(`/2010-04-01/Accounts/${accountSid}/Messages.json`), {
+        method: 'POST',
+        headers: {
+          'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ From: from, To: to, Body: text }).toString()
+      });
+      const data = await res.json().catch(() => null);
+      return res.ok
+        ? { ok: true, id: data?.sid }
+        : { ok: false, error: JSON.stringify(data) || `HTTP ${res.status}`, retryable: retryableStatus(res.status) };
+    },
+    async check(tenant, from) {
+      const { accountSid, authToken } = twilioCredentials(tenant);
+      const res = await fetch(twilioUrl(`/2010-04-01/Accounts/${accountSid}/IncomingPhoneNumbers.json?PhoneNumber=${encodeURIComponent(from)}`), {
+        headers: { 'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}` },
+      });
+      if (!res.ok) return { ok: false, message: `Twilio HTTP ${res.status} — check the account SID and auth token` };
+      const number = (await res.json())?.incoming_phone_numbers?.[0];
+      if (!number) return { ok: false, message: `${from} is not on this Twilio account` };
+      if (number.capabilities?.sms === false) return { ok: false, message: `${from} can't send SMS` };
+      return { ok: true, message: `${from} active (${number.friendly_name || 'Twilio'})` };
+    },
+  },
+};
+
+function twilioCredentials(tenant) {
+  return {
+    accountSid: tenant.twilio?.accountSid || process.env.TWILIO_ACCOUNT_SID,
+    authToken: tenant.twilio?.authToken || process.env.TWILIO_AUTH_TOKEN,
+  };
+}
+
+function smsProvider(tenant) {
+  return tenant.smsProvider || 'telnyx';
+}
+
+// One provider attempt, logged and recorded on the message
+async function attempt(tenant, provider, message, { from, to, text }) {
+  let result;
+  try {
+    result = await PROVIDERS[provider].send(tenant, from, to, text);
+  } catch (e) {
+    // Network errors and timeouts are worth another try
+    result = { ok: false, error: e.message, retryable: true };
+  }
+  if (result.ok) console.log(`SMS sent to ${maskPhone(to)} via ${provider}: ${result.id}`);
+  else console.error(`SMS failed to ${maskPhone(to)} via ${provider}${result.retryable ? ' (will retry)' : ''}:`, redact(result.error));
+  const updated = await recordAttempt(tenant, message, result).catch(e => {
+    console.error('Message log error:', e.message);
+    return message;
+  });
+  return { ok: result.ok, status: updated?.status || (result.ok ? 'sent' : 'failed'), messageId: message?.id || null };
+}
+
+// Resolves to { ok, status, messageId }: ok means the provider accepted the
+// text now; status 'queued' means it failed but will be retried.
+// opts.skipOptOutCheck is only for the STOP confirmation and HELP replies,
+// which carriers require us to send regardless of opt-out state.
+// opts.purpose / opts.ref label the message in the log (lib/messages.js);
+// opts.about is the caller a text to the owner or on-call is about.
+async function sendSMS(tenant, to, body, opts = {}) {
+  const provider = smsProvider(tenant);
+  const from = PROVIDERS[provider]?.from(tenant);
+  if (!PROVIDERS[provider] || !PROVIDERS[provider].configured(tenant) || !from) {
+    console.error(`SMS config missing for tenant ${tenant.id} (provider: ${provider})`);
+    return { ok: false, status: 'failed', messageId: null };
+  }
+  const normalized = normalizePhone(to);
+  if (!opts.skipOptOutCheck) {
+    try {
+      if (await isOptedOut(tenant, normalized)) {
+        console.log(`SMS blocked — ${maskPhone(normalized)} opted out of ${tenant.id}`);
+        return { ok: false, status: 'blocked', messageId: null };
+      }
+    } catch (e) {
+      // Fail closed: never text someone we can't confirm has consented
+      console.error(`SMS blocked — opt-out check failed for ${maskPhone(normalized)}:`, e.message);
+      return { ok: false, status: 'blocked', messageId: null };
+    }
+  }
+  const message = await createMessage(tenant, {
+    to: normalized, from, provider, text: body,
+    purpose: opts.purpose || null, ref: opts.ref || null, skip_opt_out_check: !!opts.skipOptOutCheck,
+    about_phone: opts.about ? normalizePhone(opts.about) : null,
+  }).catch(e => {
+    console.error('Message log error:', e.message);
+    return null;
+  });
+  return attempt(tenant, provider, message, { from, to: normalized, text: body });
+}
+
+// Health check for the tenant's SMS setup → { ok, message }
+async function checkSMS(tenant) {
+  const provider = smsProvider(tenant);
+  const from = PROVIDERS[provider]?.from(tenant);
+  if (!PROVIDERS[provider]) return { ok: false, message: `Unknown SMS provider "${provider}"` };
+  if (!PROVIDERS[provider].configured(tenant)) return { ok: false, message: `${provider} credentials missing` };
+  if (!from) return { ok: false, message: `No ${provider} phone number configured` };
+  return PROVIDERS[provider].check(tenant, from);
+}
+
+// Cron tick: another attempt for every queued message whose backoff is up
+async function retryMessages(tenant) {
+  const due = await dueMessages(tenant);
+  let retried = 0;
+  for (const message of due) {
+    if (!message.skip_opt_out_check && await isOptedOut(tenant, message.to).catch(() => true)) {
+      await cancelMessage(tenant, message, 'Recipient opted out');
+      continue;
+    }
+    await attempt(tenant, message.provider, message, message);
+    retried++;
+  }
+  return retried;
+}
+
+module.exports = { sendSMS, retryMessages, checkSMS, smsProvider, normalizePhone, isValidPhone };
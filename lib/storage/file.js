@@ -0,0 +1,145 @@
+/**
+ * JSON-file storage adapter — lib/storage/file.js
+ *
+ * For local development and self-hosted single-instance deployments.
+ * Each namespace is one file, <DATA_DIR>/<namespace>.json:
+ *   { "records": { "<id>": {...} }, "values": { "<key>": { "value": ..., "expiresAt": ms|null } } }
+ *
+ * Writes go to a temp file and are renamed into place, and are serialized
+ * within the process, so a crash never leaves a half-written file.
+ *
+ * Env vars: DATA_DIR
+ */
+const fs = require('fs');
+const path = require('path');
+const { matchesQuery, sortAndPage, recordTime } = require('./query');
+
+// One write queue per file so concurrent requests don't clobber each other
+const queues = new Map();
+
+function createFileStore(namespace, dir = process.env.DATA_DIR) {
+  const file = path.join(dir, `${namespace || 'default'}.json`);
+
+  function read() {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return { records: {}, values: {} };
+      throw e;
+    }
+  }
+
+  function write(data) {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  }
+
+  // Read-modify-write under the file's queue; fn returns the op's result
+  function mutate(fn) {
+    const prev = queues.get(file) || Promise.resolve();
+    const next = prev.then(() => {
+      const data = read();
+      const result = fn(data);
+      write(data);
+      return result;
+    });
+    queues.set(file, next.catch(() => {}));
+    return next;
+  }
+
+  return {
+    driver: 'file',
+    async save(record) {
+      return mutate(data => (data.records[record.id] = record));
+    },
+    async get(id) {
+      return read().records[id] || null;
+    },
+    async update(id, changes) {
+      return mutate(data => {
+        const record = data.records[id];
+        if (!record) return null;
+        return (data.records[id] = { ...record, ...changes, updated_at: new Date().toISOString() });
+      });
+    },
+    async remove(id) {
+      return mutate(data => {
+        const existed = id in data.records;
+        delete data.records[id];
+        return existed;
+      });
+    },
+    async find(q = {}) {
+      return sortAndPage(Object.values(read().records).filter(r => matchesQuery(r, q)), q);
+    },
+    async purge(before) {
+      const cutoff = new Date(before).getTime();
+      return mutate(data => {
+        let removed = 0;
+        for (const [id, record] of Object.entries(data.records)) {
+          if (recordTime(record) < cutoff) {
+            delete data.records[id];
+            removed++;
+          }
+        }
+        for (const [key, entry] of Object.entries(data.values)) {
+          if (entry.expiresAt && entry.expiresAt < Date.now()) delete data.values[key];
+        }
+        return removed;
+      });
+    },
+    async getValue(key) {
+      const entry = read().values[key];
+      if (!entry || (entry.expiresAt && entry.expiresAt < Date.now())) return null;
+      return entry.value;
+    },
+    async setValue(key, value, { ttlSeconds } = {}) {
+      await mutate(data => {
+        data.values[key] = { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null };
+      });
+    },
+    async claimValue(key, value, { ttlSeconds } = {}) {
+      return mutate(data => {
+        const entry = data.values[key];
+        if (entry && !(entry.expiresAt && entry.expiresAt < Date.now())) return false;
+        data.values[key] = { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null };
+        return true;
+      });
+    },
+    async deleteValue(key) {
+      await mutate(data => {
+        delete data.values[key];
+      });
+    },
+    // Sets live among the values as arrays under set:<key>, changed in the queue
+    async addToSet(key, member, { ttlSeconds } = {}) {
+      await mutate(data => {
+        let entry = data.values[`set:${key}`];
+        if (!entry || (entry.expiresAt && entry.expiresAt < Date.now())) entry = { value: [], expiresAt: null };
+        if (!entry.value.includes(member)) entry.value.push(member);
+        if (ttlSeconds) entry.expiresAt = Date.now() + ttlSeconds * 1000;
+        data.values[`set:${key}`] = entry;
+      });
+    },
+    async removeFromSet(key, member) {
+      await mutate(data => {
+        const entry = data.values[`set:${key}`];
+        if (entry) entry.value = entry.value.filter(m => m !== member);
+      });
+    },
+    async getSet(key) {
+      const entry = read().values[`set:${key}`];
+      if (!entry || (entry.expiresAt && entry.expiresAt < Date.now())) return [];
+      return entry.value;
+    },
+    async deleteSet(key) {
+      await mutate(data => {
+        delete data.values[`set:${key}`];
+      });
+    },
+  };
+}
+
+module.exports = { createFileStore };
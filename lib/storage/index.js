@@ -0,0 +1,58 @@
+/**
+ * Storage repository — lib/storage/index.js
+ *
+ * Every record (call, booking, emergency, ...) and small value (opt-outs,
+ * SMS conversation state) goes through one interface, per tenant:
+ *
+ *   save(record)                 upsert by record.id (needs type + created_at)
+ *   get(id)                      → record | null
+ *   update(id, changes)          → merged record | null
+ *   remove(id)                   → boolean
+ *   find({ type, phone, status, from, to, limit, offset })
+ *                                → records, newest first
+ *   purge(before)                removes records created before `before` (and
+ *                                their index entries) plus expired values
+ *                                → number of records removed
+ *   getValue(key) / setValue(key, value, { ttlSeconds }) / deleteValue(key)
+ *   claimValue(key, value, { ttlSeconds })
+ *                                setValue only if the key isn't set (atomic)
+ *                                → true if this call set it
+ *   addToSet(key, member, { ttlSeconds }) / removeFromSet(key, member)
+ *                                atomic, so concurrent writers never drop
+ *                                each other's members; a ttl (re)starts
+ *                                the whole set's expiry
+ *   getSet(key)                  → members, in no particular order
+ *   deleteSet(key)
+ *
+ * Adapters:
+ *   kv     — Vercel KV / Upstash (KV_REST_API_URL + KV_REST_API_TOKEN)
+ *   file   — JSON files in DATA_DIR, for local and self-hosted use
+ *   memory — process memory, for tests
+ *
+ * STORAGE_DRIVER picks one explicitly; otherwise kv if configured, then file
+ * if DATA_DIR is set. With neither, getStore() returns null and callers must
+ * report the missing storage rather than drop data silently.
+ */
+const { kvConfigured } = require('../kv');
+const { createKvStore } = require('./kv');
+const { createFileStore } = require('./file');
+const { createMemoryStore } = require('./memory');
+
+function storageDriver() {
+  if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER;
+  if (kvConfigured()) return 'kv';
+  if (process.env.DATA_DIR) return 'file';
+  return null;
+}
+
+function getStore(tenant) {
+  const namespace = tenant.kvNamespace;
+  switch (storageDriver()) {
+    case 'kv': return createKvStore(namespace, { retentionDays: tenant.retentionDays });
+    case 'file': return createFileStore(namespace);
+    case 'memory': return createMemoryStore(namespace);
+    default: return null;
+  }
+}
+
+module.exports = { getStore, storageDriver };
@@ -0,0 +1,129 @@
+/**
+ * Vercel KV / Upstash storage adapter — lib/storage/kv.js
+ *
+ * Layout (every key prefixed with the tenant namespace):
+ *   call:<id>              record JSON, TTL = retention period (default 30 days)
+ *   idx:all                sorted set of ids, score = created_at (ms)
+ *   idx:type:<type>        same, per record type
+ *   idx:phone:<digits>     same, per caller phone
+ *   <key>                  plain values (opt-outs, SMS state, ...)
+ *   set:<key>              sets of ids (messages waiting on a retry, ...)
+ *
+ * Queries read the most selective index, then MGET the records.
+ */
+const { kv, kvPipeline } = require('../kv');
+const { recordPhones, recordTime, matchesQuery, sortAndPage, phoneDigits } = require('./query');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_BATCH = 100;
+
+// retentionDays: record TTL — the retention cron (lib/retention.js) cleans
+// up the index entries expired records leave behind
+function createKvStore(namespace, { retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+  const k = key => (namespace ? `${namespace}:${key}` : key);
+  const recordTtlSeconds = retentionDays * 86400;
+
+  function indexKeys(record) {
+    const keys = ['idx:all'];
+    if (record.type) keys.push(`idx:type:${record.type}`);
+    for (const phone of recordPhones(record)) keys.push(`idx:phone:${phone}`);
+    return keys.map(k);
+  }
+
+  async function get(id) {
+    const raw = await kv('GET', k(`call:${id}`));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  return {
+    driver: 'kv',
+    async save(record) {
+      const score = recordTime(record) || Date.now();
+      await kvPipeline([
+        ['SET', k(`call:${record.id}`), JSON.stringify(record), 'EX', recordTtlSeconds],
+        ...indexKeys(record).map(key => ['ZADD', key, score, record.id]),
+      ]);
+      return record;
+    },
+    get,
+    // Keeps the record's remaining TTL
+    async update(id, changes) {
+      const record = await get(id);
+      if (!record) return null;
+      const updated = { ...record, ...changes, updated_at: new Date().toISOString() };
+      await kv('SET', k(`call:${id}`), JSON.stringify(updated), 'KEEPTTL');
+      return updated;
+    },
+    async remove(id) {
+      const record = await get(id);
+      if (!record) return false;
+      await kvPipeline([
+        ['DEL', k(`call:${id}`)],
+        ...indexKeys(record).map(key => ['ZREM', key, id]),
+      ]);
+      return true;
+    },
+    async find(q = {}) {
+      const index = q.phone ? `idx:phone:${phoneDigits(q.phone)}` : q.type ? `idx:type:${q.type}` : 'idx:all';
+      // Phone + type, or any status filter, needs a post-filter, so paging
+      // has to happen afterwards too
+      const indexAnswersQuery = !q.status && !(q.phone && q.type);
+      const max = q.to ? new Date(q.to).getTime() : '+inf';
+      const min = q.from ? new Date(q.from).getTime() : '-inf';
+      const limit = indexAnswersQuery && q.limit ? ['LIMIT', q.offset || 0, q.limit] : [];
+      const ids = await kv('ZREVRANGEBYSCORE', k(index), max, min, ...limit) || [];
+      if (!ids.length) return [];
+      // Expired records leave their ids behind in the indexes; skip them
+      const raws = await kv('MGET', ...ids.map(id => k(`call:${id}`)));
+      const records = raws.filter(Boolean).map(raw => JSON.parse(raw));
+      return indexAnswersQuery ? records : sortAndPage(records.filter(r => matchesQuery(r, q)), q);
+    },
+    async purge(before) {
+      const cutoff = `(${new Date(before).getTime()}`;
+      const ids = await kv('ZRANGEBYSCORE', k('idx:all'), '-inf', cutoff) || [];
+      for (let i = 0; i < ids.length; i += PURGE_BATCH) {
+        await kv('DEL', ...ids.slice(i, i + PURGE_BATCH).map(id => k(`call:${id}`)));
+      }
+      // Every index is scored by created_at, so trimming by score drops the
+      // old ids — including ones whose record already expired
+      let cursor = '0';
+      do {
+        const [next, keys] = await kv('SCAN', cursor, 'MATCH', k('idx:*'), 'COUNT', 500);
+        if (keys.length) await kvPipeline(keys.map(key => ['ZREMRANGEBYSCORE', key, '-inf', cutoff]));
+        cursor = String(next);
+      } while (cursor !== '0');
+      return ids.length;
+    },
+    async getValue(key) {
+      const raw = await kv('GET', k(key));
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async setValue(key, value, { ttlSeconds } = {}) {
+      const ttl = ttlSeconds ? ['EX', ttlSeconds] : [];
+      await kv('SET', k(key), JSON.stringify(value), ...ttl);
+    },
+    async claimValue(key, value, { ttlSeconds } = {}) {
+      const ttl = ttlSeconds ? ['EX', ttlSeconds] : [];
+      return (await kv('SET', k(key), JSON.stringify(value), 'NX', ...ttl)) === 'OK';
+    },
+    async deleteValue(key) {
+      await kv('DEL', k(key));
+    },
+    async addToSet(key, member, { ttlSeconds } = {}) {
+      const commands = [['SADD', k(`set:${key}`), member]];
+      if (ttlSeconds) commands.push(['EXPIRE', k(`set:${key}`), ttlSeconds]);
+      await kvPipeline(commands);
+    },
+    async removeFromSet(key, member) {
+      await kv('SREM', k(`set:${key}`), member);
+    },
+    async getSet(key) {
+      return kv('SMEMBERS', k(`set:${key}`));
+    },
+    async deleteSet(key) {
+      await kv('DEL', k(`set:${key}`));
+    },
+  };
+}
+
+module.exports = { createKvStore };
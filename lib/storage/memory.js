@@ -0,0 +1,93 @@
+/**
+ * In-memory storage adapter — lib/storage/memory.js
+ *
+ * For tests and local experiments. Data lives as long as the process.
+ */
+const { matchesQuery, sortAndPage, recordTime } = require('./query');
+
+const namespaces = new Map();
+
+function createMemoryStore(namespace) {
+  if (!namespaces.has(namespace)) namespaces.set(namespace, { records: new Map(), values: new Map() });
+  const { records, values } = namespaces.get(namespace);
+
+  return {
+    driver: 'memory',
+    async save(record) {
+      records.set(record.id, record);
+      return record;
+    },
+    async get(id) {
+      return records.get(id) || null;
+    },
+    async update(id, changes) {
+      const record = records.get(id);
+      if (!record) return null;
+      const updated = { ...record, ...changes, updated_at: new Date().toISOString() };
+      records.set(id, updated);
+      return updated;
+    },
+    async remove(id) {
+      return records.delete(id);
+    },
+    async find(q = {}) {
+      return sortAndPage([...records.values()].filter(r => matchesQuery(r, q)), q);
+    },
+    async purge(before) {
+      const cutoff = new Date(before).getTime();
+      let removed = 0;
+      for (const [id, record] of records) {
+        if (recordTime(record) < cutoff) removed += records.delete(id);
+      }
+      for (const [key, entry] of values) {
+        if (entry.expiresAt && entry.expiresAt < Date.now()) values.delete(key);
+      }
+      return removed;
+    },
+    async getValue(key) {
+      const entry = values.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt < Date.now()) {
+        values.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async setValue(key, value, { ttlSeconds } = {}) {
+      values.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+    },
+    async claimValue(key, value, { ttlSeconds } = {}) {
+      const entry = values.get(key);
+      if (entry && !(entry.expiresAt && entry.expiresAt < Date.now())) return false;
+      values.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+      return true;
+    },
+    async deleteValue(key) {
+      values.delete(key);
+    },
+    async addToSet(key, member, { ttlSeconds } = {}) {
+      const entry = values.get(`set:${key}`);
+      if (!entry || (entry.expiresAt && entry.expiresAt < Date.now())) values.set(`set:${key}`, { value: new Set(), expiresAt: null });
+      values.get(`set:${key}`).value.add(member);
+      if (ttlSeconds) values.get(`set:${key}`).expiresAt = Date.now() + ttlSeconds * 1000;
+    },
+    async removeFromSet(key, member) {
+      values.get(`set:${key}`)?.value.delete(member);
+    },
+    async getSet(key) {
+      const entry = values.get(`set:${key}`);
+      if (!entry || (entry.expiresAt && entry.expiresAt < Date.now())) return [];
+      return [...entry.value];
+    },
+    async deleteSet(key) {
+      values.delete(`set:${key}`);
+    },
+  };
+}
+
+// Tests call this between cases
+function resetMemoryStores() {
+  namespaces.clear();
+}
+
+module.exports = { createMemoryStore, resetMemoryStores };
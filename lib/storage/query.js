@@ -0,0 +1,55 @@
+/**
+ * Shared query helpers for storage adapters — lib/storage/query.js
+ *
+ * Adapters that can't index natively (memory, file) filter with these;
+ * the KV adapter uses them to post-filter after an index lookup.
+ */
+
+function phoneDigits(phone) {
+  let d = String(phone || '').replace(/\D/g, '');
+  if (d.length === 10) d = '1' + d;
+  return d;
+}
+
+// Call records use phoneNumber, bookings and emergencies use phone
+function recordPhone(record) {
+  const p = record.phone || record.phoneNumber;
+  return p && p !== 'unknown' ? phoneDigits(p) : null;
+}
+
+// Every phone a record is filed under: its own, plus the caller a message
+// to someone else was about (about_phone), so a caller's export and
+// deletion find the owner and on-call texts that carry their details
+function recordPhones(record) {
+  const about = record.about_phone && record.about_phone !== 'unknown' ? phoneDigits(record.about_phone) : null;
+  return [...new Set([recordPhone(record), about].filter(Boolean))];
+}
+
+function recordTime(record) {
+  return new Date(record.created_at).getTime() || 0;
+}
+
+// Calls carry status directly, emergencies on their escalation
+function recordStatus(record) {
+  return String(record.status || record.escalation?.status || '').toLowerCase();
+}
+
+// q: { type, phone, status, from, to } — from/to are ISO strings or Dates on created_at
+function matchesQuery(record, q = {}) {
+  if (q.type && record.type !== q.type) return false;
+  if (q.status && recordStatus(record) !== String(q.status).toLowerCase()) return false;
+  if (q.phone && !recordPhones(record).includes(phoneDigits(q.phone))) return false;
+  const t = recordTime(record);
+  if (q.from && t < new Date(q.from).getTime()) return false;
+  if (q.to && t > new Date(q.to).getTime()) return false;
+  return true;
+}
+
+// Newest first, then apply offset/limit
+function sortAndPage(records, q = {}) {
+  const sorted = records.slice().sort((a, b) => recordTime(b) - recordTime(a));
+  const offset = q.offset || 0;
+  return q.limit ? sorted.slice(offset, offset + q.limit) : sorted.slice(offset);
+}
+
+module.exports = { phoneDigits, recordPhone, recordPhones, recordStatus, recordTime, matchesQuery, sortAndPage };
@@ -0,0 +1,56 @@
+/**
+ * Call records — lib/store.js
+ *
+ * Domain helpers over the storage repository (lib/storage) for the records
+ * the webhook writes: calls, bookings and emergencies.
+ */
+const { getStore } = require('./storage');
+
+// Returns false (and says so loudly) when the record could not be saved
+async function storeCall(tenant, callData) {
+  const store = getStore(tenant);
+  const record = { ...callData, id: callData.id || `call-${Date.now()}` };
+  if (!store) {
+    console.error(`Storage not configured — ${record.type} ${record.id} for ${tenant.id} was NOT saved`);
+    return false;
+  }
+  try {
+    await store.save(record);
+    return true;
+  } catch (e) {
+    console.error(`Storage error saving ${record.id}:`, e.message);
+    return false;
+  }
+}
+
+async function getCall(tenant, id) {
+  const store = getStore(tenant);
+  return store ? store.get(id) : null;
+}
+
+async function updateCall(tenant, id, changes) {
+  const store = getStore(tenant);
+  return store ? store.update(id, changes) : null;
+}
+
+// Soonest booking for this phone that hasn't happened or been cancelled
+async function findUpcomingBooking(tenant, phone) {
+  const store = getStore(tenant);
+  if (!store) return null;
+  const now = Date.now();
+  const bookings = (await store.find({ type: 'booking', phone }))
+    .filter(b => b.status !== 'cancelled' && new Date(b.time).getTime() > now);
+  bookings.sort((a, b) => new Date(a.time) - new Date(b.time));
+  return bookings[0] || null;
+}
+
+// Live booking for this phone at exactly this time, if one was already made
+async function findBookingAt(tenant, phone, time) {
+  const store = getStore(tenant);
+  const at = new Date(time).getTime();
+  if (!store || !phone || isNaN(at)) return null;
+  const bookings = await store.find({ type: 'booking', phone });
+  return bookings.find(b => b.status !== 'cancelled' && new Date(b.time).getTime() === at) || null;
+}
+
+module.exports = { storeCall, getCall, updateCall, findUpcomingBooking, findBookingAt };
@@ -0,0 +1,140 @@
+/**
+ * Tenant registry — lib/tenants.js
+ *
+ * One deployment serves many trades businesses. Each tenant is looked up by the
+ * Vapi assistant ID or the phone number that was dialed.
+ *
+ * Config (first match wins):
+ *   TENANTS       — JSON array of tenant objects
+ *   TENANTS_FILE  — path to a JSON file holding the same array
+ *   legacy env    — BUSINESS_NAME, OWNER_*, CALCOM_*, TELNYX_PHONE_NUMBER, TIMEZONE,
+ *                   DASHBOARD_TOKEN, SMS_PROVIDER, TWILIO_PHONE_NUMBER
+ *                   become a single tenant with id "default"
+ *
+ * Tenant shape:
+ *   {
+ *     id: 'acme-plumbing',
+ *     businessName: 'Acme Plumbing',
+ *     ownerName: 'Joe', ownerPhone: '+12815550100', ownerEmail: 'joe@acme.com',
+ *     timezone: 'America/Chicago',
+ *     assistantIds: ['vapi-assistant-uuid'],
+ *     phoneNumbers: ['+12815550199'],          // numbers callers dial
+ *     telnyx: { phoneNumber: '+12815550199' }, // SMS "from" number
+ *     smsProvider: 'telnyx',                   // or 'twilio' with twilio: { phoneNumber, ... } (lib/sms.js)
+ *     notifications: { booking: ['sms', 'email'] }, // event → channels (lib/notify)
+ *     channels: { email: { to: 'joe@acme.com' } },
+ *     calcom: { apiKey: 'cal_live_...', eventTypeId: 12345 },
+ *     kvNamespace: 'acme',                     // prefix for every KV key
+ *     dashboardToken: '...',                   // static read key (see lib/auth.js)
+ *     dashboardOrigins: ['https://dash.acme.com'], // CORS allowlist (see lib/cors.js)
+ *     retentionDays: 30,                       // call data kept this long (lib/retention.js)
+ *     sms: { bookingConfirmation: '...', callFollowUp: '...', help: '...' },
+ *     catalog: { services: [...], tripFee: 79 },  // price ranges for get_quote (lib/catalog.js)
+ *     serviceArea: { zips: ['77002'], center: { lat, lng }, radiusMiles: 25 } // check_service_area
+ *   }
+ */
+
+const fs = require('fs');
+
+// Default SMS templates — {placeholders} are filled by renderTemplate()
+const DEFAULT_SMS = {
+  bookingConfirmation: 'Hi {caller_name}! Your estimate with {business_name} is confirmed for {time}. Reply to this text if you need to reschedule.',
+  callFollowUp: 'Hi! Thanks for calling {business_name}. We got your message and {owner_name} will be in touch with you shortly. - CallCovered',
+  callFollowUpAfterHours: "Hi! Thanks for calling {business_name}. We're closed right now, but we got your message and {owner_name} will call you {next_open}. - CallCovered",
+  help: '{business_name}: texts about your service request. Msg frequency varies. Msg & data rates may apply. Reply STOP to opt out. Help: support@callcovered.io',
+  optOutConfirmation: "You're unsubscribed from {business_name} texts and won't receive more messages. Reply START to resubscribe.",
+  optInConfirmation: "You're resubscribed to {business_name} texts. Reply STOP to opt out, HELP for help.",
+};
+
+let cached = null;
+
+function digits(phone) {
+  let d = String(phone || '').replace(/\D/g, '');
+  if (d.length === 10) d = '1' + d;
+  return d;
+}
+
+function legacyTenant() {
+  if (!process.env.BUSINESS_NAME && !process.env.OWNER_PHONE_NUMBER) return null;
+  return {
+    id: 'default',
+    businessName: process.env.BUSINESS_NAME,
+    ownerName: process.env.OWNER_NAME,
+    ownerPhone: process.env.OWNER_PHONE_NUMBER,
+    ownerEmail: process.env.OWNER_EMAIL,
+    timezone: process.env.TIMEZONE,
+    telnyx: { phoneNumber: process.env.TELNYX_PHONE_NUMBER },
+    smsProvider: process.env.SMS_PROVIDER,
+    twilio: { phoneNumber: process.env.TWILIO_PHONE_NUMBER },
+    calcom: { apiKey: process.env.CALCOM_API_KEY, eventTypeId: process.env.CALCOM_EVENT_TYPE_ID },
+    kvNamespace: '', // keep pre-multi-tenant keys readable
+    dashboardToken: process.env.DASHBOARD_TOKEN,
+  };
+}
+
+// Fill in defaults so callers never have to null-check nested config
+function normalize(t) {
+  return {
+    ...t,
+    timezone: t.timezone || 'America/Chicago',
+    assistantIds: t.assistantIds || [],
+    phoneNumbers: (t.phoneNumbers || []).concat([t.telnyx?.phoneNumber, t.twilio?.phoneNumber].filter(Boolean)),
+    telnyx: { ...t.telnyx },
+    twilio: { ...t.twilio },
+    notifications: { ...t.notifications },
+    channels: { ...t.channels },
+    calcom: { ...t.calcom },
+    kvNamespace: t.kvNamespace ?? t.id,
+    retentionDays: t.retentionDays || 30,
+    sms: { ...DEFAULT_SMS, ...t.sms },
+  };
+}
+
+function loadTenants() {
+  if (cached) return cached;
+  let list;
+  if (process.env.TENANTS) {
+    list = JSON.parse(process.env.TENANTS);
+  } else if (process.env.TENANTS_FILE) {
+    list = JSON.parse(fs.readFileSync(process.env.TENANTS_FILE, 'utf8'));
+  } else {
+    const legacy = legacyTenant();
+    list = legacy ? [legacy] : [];
+  }
+  cached = list.map(normalize);
+  return cached;
+}
+
+function getTenant(id) {
+  return loadTenants().find(t => t.id === id) || null;
+}
+
+// Look up by assistant ID first, then by dialed number. A single-tenant
+// deployment always resolves to its only tenant.
+function resolveTenant({ assistantId, phoneNumber } = {}) {
+  const tenants = loadTenants();
+  if (assistantId) {
+    const t = tenants.find(t => t.assistantIds.includes(assistantId));
+    if (t) return t;
+  }
+  if (phoneNumber) {
+    const d = digits(phoneNumber);
+    const t = tenants.find(t => t.phoneNumbers.some(p => digits(p) === d));
+    if (t) return t;
+  }
+  return tenants.length === 1 ? tenants[0] : null;
+}
+
+// Pull the identifying fields out of any Vapi server message
+function resolveTenantFromVapi(message) {
+  return resolveTenant({
+    assistantId: message?.call?.assistantId || message?.assistant?.id,
+    phoneNumber: message?.phoneNumber?.number || message?.call?.phoneNumber?.number,
+  });
+}
+
+function renderTemplate(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (m, k) => (vars[k] ?? m));
+}
+
+module.exports = { loadTenants, getTenant, resolveTenant, resolveTenantFromVapi, renderTemplate, DEFAULT_SMS };
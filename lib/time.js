@@ -0,0 +1,68 @@
+/**
+ * Timezone helpers — lib/time.js
+ *
+ * Plain Intl, no date library. "Local" below always means the tenant's
+ * timezone, never the server's (Vercel runs in UTC).
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Wall-clock parts of `date` in `tz`: { year, month (1-12), day, hour, minute, weekday (0=Sun) }
+function zonedParts(date, tz) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+  }).formatToParts(date);
+  const get = type => parts.find(p => p.type === type).value;
+  return {
+    year: +get('year'), month: +get('month'), day: +get('day'),
+    hour: +get('hour') % 24, minute: +get('minute'),
+    weekday: WEEKDAYS.indexOf(get('weekday').toLowerCase().slice(0, 3)),
+  };
+}
+
+// The UTC instant for a local wall-clock time in `tz` (DST-aware)
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = instant => {
+    const p = zonedParts(new Date(instant), tz);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - instant;
+  };
+  let utc = wall - offsetAt(wall);
+  // Re-check once: the first guess can land on the other side of a DST change
+  const corrected = wall - offsetAt(utc);
+  if (corrected !== utc) utc = corrected;
+  return new Date(utc);
+}
+
+// Calendar arithmetic on { year, month, day } — returns the same shape plus weekday
+function addDays({ year, month, day }, n) {
+  const d = new Date(Date.UTC(year, month - 1, day + n));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+
+function dateKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// "8am", "8:30am"
+function formatClock(date, tz) {
+  const { hour, minute } = zonedParts(date, tz);
+  const h = hour % 12 || 12;
+  return `${h}${minute ? `:${String(minute).padStart(2, '0')}` : ''}${hour < 12 ? 'am' : 'pm'}`;
+}
+
+// "today at 8am", "tomorrow at 8am", "Monday at 8am", "Monday, Dec 28 at 8am"
+function formatRelative(date, tz, now = new Date()) {
+  const today = zonedParts(now, tz);
+  const target = zonedParts(date, tz);
+  const days = Math.round((Date.UTC(target.year, target.month - 1, target.day) - Date.UTC(today.year, today.month - 1, today.day)) / 86400000);
+  const clock = formatClock(date, tz);
+  if (days === 0) return `today at ${clock}`;
+  if (days === 1) return `tomorrow at ${clock}`;
+  const weekday = date.toLocaleDateString('en-US', { weekday: 'long', timeZone: tz });
+  if (days < 7) return `${weekday} at ${clock}`;
+  return `${weekday}, ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: tz })} at ${clock}`;
+}
+
+module.exports = { WEEKDAYS, zonedParts, zonedTimeToUtc, addDays, dateKey, formatClock, formatRelative };
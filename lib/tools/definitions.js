@@ -0,0 +1,162 @@
+/**
+ * Vapi tools — lib/tools/definitions.js
+ *
+ * One entry per function the assistant can call:
+ *   description   what the model reads to decide when to call it
+ *   parameters    JSON schema for the arguments (lib/tools/schema.js)
+ *   errorMessage  what the caller hears when the arguments don't validate or
+ *                 the handler fails ({owner_name} / {business_name} filled in)
+ *   handler(tenant, params, ctx) → { success, message, ...details }
+ *                 ctx: { callId, customerNumber } from the Vapi call
+ *
+ * `message` is what the assistant says back; the details go to callers of
+ * the legacy function-call format, which gets the whole object.
+ */
+const { getAvailability, bookAppointment } = require('../calcom');
+const { getCallerHistory, describeCaller } = require('../callers');
+const { raiseEmergency } = require('../escalation');
+const { getBusinessStatus, describeStatus } = require('../hours');
+const { formatRelative } = require('../time');
+const { quoteJob, checkServiceArea, hasServiceArea, describeServiceArea } = require('../catalog');
+
+const URGENCY = { type: 'string', enum: ['emergency', 'urgent', 'normal', 'flexible'], description: 'How soon the job needs doing.' };
+
+// What the caller hears depends on whether anyone was actually paged
+function emergencyReply(tenant, alert) {
+  if (alert.deferred) {
+    const when = alert.nextOpen ? ` ${formatRelative(alert.nextOpen, tenant.timezone)}` : ' as soon as we open';
+    return `We're closed right now, so I've logged your emergency and ${tenant.ownerName} will call you first thing${when}. If anyone is in danger, hang up and call 911.`;
+  }
+  if (alert.delivered) return `I've sent an urgent alert to ${alert.contact || tenant.ownerName}. They'll call you right back.`;
+  return `I couldn't reach ${tenant.ownerName} right away, but your emergency is logged and we'll keep trying the on-call team. If anyone is in danger, hang up and call 911.`;
+}
+
+const TOOLS = {
+  check_availability: {
+    description: 'Find open appointment times. Call this before offering the caller any time.',
+    parameters: {
+      type: 'object',
+      properties: {
+        preferred_date: { type: 'string', description: 'When the caller would like it, in their words: "next Tuesday", "Thursday afternoon", "after 3pm".' },
+        urgency: URGENCY,
+      },
+    },
+    errorMessage: "I'm having trouble reaching the calendar right now. I'll have {owner_name} call you back to find a time.",
+    async handler(tenant, params) {
+      const avail = await getAvailability(tenant, params.preferred_date, params.urgency || 'flexible');
+      return { ...avail, success: avail.available };
+    },
+  },
+
+  book_appointment: {
+    description: 'Book an appointment in a slot check_availability offered and the caller accepted.',
+    parameters: {
+      type: 'object',
+      properties: {
+        caller_name: { type: 'string', description: "The caller's full name." },
+        phone: { type: 'string', format: 'phone', description: "The caller's phone number, for the confirmation text." },
+        appointment_time: { type: 'string', format: 'date-time', description: 'The chosen slot as an ISO 8601 timestamp, exactly as check_availability returned it.' },
+        job_description: { type: 'string', description: 'What needs doing, in a sentence.' },
+        address: { type: 'string', description: 'Where the job is.' },
+        urgency: URGENCY,
+      },
+      required: ['caller_name', 'phone', 'appointment_time'],
+    },
+    errorMessage: 'I need a few more details before booking. Could you confirm your name, number, and preferred time?',
+    // Addresses outside the service area aren't booked; the call is flagged
+    // for the owner instead (lib/catalog.js)
+    async handler(tenant, params) {
+      if (params.address && hasServiceArea(tenant)) {
+        const area = await checkServiceArea(tenant, { address: params.address });
+        if (area.in_area === false) {
+          console.log(`BOOKING_OUT_OF_AREA: ${area.zip || 'no zip'}${area.miles != null ? ` (${area.miles} mi)` : ''}`);
+          return { success: false, out_of_area: true, service_area: { ...area, address: params.address }, message: describeServiceArea(tenant, area) };
+        }
+      }
+      return bookAppointment(tenant, params);
+    },
+  },
+
+  get_quote: {
+    description: "Give the caller a price range for a job from the business's price list. Call it whenever they ask what something costs.",
+    parameters: {
+      type: 'object',
+      properties: {
+        job_description: { type: 'string', minLength: 1, description: 'The job they want priced, in their words: "replace a toilet", "water heater flush".' },
+      },
+      required: ['job_description'],
+    },
+    errorMessage: "I can't pull up our pricing right now, but {owner_name} will give you a quote when they call.",
+    async handler(tenant, params) {
+      const { found, quote, message } = quoteJob(tenant, params.job_description);
+      return { success: found, quote, message };
+    },
+  },
+
+  check_service_area: {
+    description: 'Check whether an address is in the area the business serves. Call it as soon as the caller gives an address, before booking.',
+    parameters: {
+      type: 'object',
+      properties: {
+        address: { type: 'string', description: 'The job address, ideally with the zip code.' },
+        zip: { type: 'string', description: 'The zip code, if the caller gave it on its own.' },
+      },
+    },
+    errorMessage: "I can't check that right now — {owner_name} will confirm we cover your area.",
+    async handler(tenant, params) {
+      const area = await checkServiceArea(tenant, params);
+      return {
+        success: area.in_area !== false,
+        ...area,
+        service_area: { ...area, address: params.address || null },
+        message: describeServiceArea(tenant, area),
+      };
+    },
+  },
+
+  // Nothing is required: a half-described emergency still pages someone
+  send_emergency_alert: {
+    description: 'Page the on-call team about an emergency (flooding, gas smell, no heat in freezing weather, sparking). Call it as soon as you know it is an emergency.',
+    parameters: {
+      type: 'object',
+      properties: {
+        caller_name: { type: 'string', description: "The caller's name, if they gave it." },
+        phone: { type: 'string', description: 'A number to call them back on.' },
+        issue: { type: 'string', description: "What's happening, in a sentence." },
+        address: { type: 'string', description: 'Where the emergency is.' },
+      },
+    },
+    errorMessage: "I'm having trouble sending the alert, but I've noted your emergency and {owner_name} will be told. If anyone is in danger, hang up and call 911.",
+    async handler(tenant, params, ctx) {
+      const alert = await raiseEmergency(tenant, { ...params, phone: params.phone || ctx.customerNumber }, { callId: ctx.callId });
+      return { success: alert.delivered, message: emergencyReply(tenant, alert) };
+    },
+  },
+
+  lookup_caller: {
+    description: "Look up the caller's history with the business (name, address, past and upcoming jobs). Call it at the start of the call.",
+    parameters: {
+      type: 'object',
+      properties: {
+        phone: { type: 'string', format: 'phone', description: 'Number to look up. Defaults to the number calling in.' },
+      },
+    },
+    errorMessage: "I can't pull up past records right now — let's carry on as if you're new.",
+    async handler(tenant, params, ctx) {
+      const history = await getCallerHistory(tenant, params.phone || ctx.customerNumber);
+      return { ...history, success: true, message: describeCaller(tenant, history) };
+    },
+  },
+
+  get_business_status: {
+    description: 'Whether the business is open right now and when it next opens.',
+    parameters: { type: 'object', properties: {} },
+    errorMessage: "I can't check our hours right now, but {owner_name} will get back to you as soon as possible.",
+    async handler(tenant) {
+      const hours = getBusinessStatus(tenant);
+      return { ...hours, success: true, message: describeStatus(tenant, hours) };
+    },
+  },
+};
+
+module.exports = { TOOLS };
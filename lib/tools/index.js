@@ -0,0 +1,87 @@
+/**
+ * Tool registry — lib/tools/index.js
+ *
+ * Every Vapi function call, in either request format, goes through
+ * runTool(): parse the arguments, validate them against the tool's schema,
+ * run the handler and log the call for the call's outcome (lib/outcome.js).
+ * Bad arguments or a failing handler never reach the caller as a 500 —
+ * they get the tool's errorMessage instead.
+ *
+ * vapiToolDefinitions() exports the same definitions in Vapi's assistant
+ * config format (served by /api/vapi/tools), so the assistant and the code
+ * can't drift apart.
+ */
+const { TOOLS } = require('./definitions');
+const { validate, vapiSchema } = require('./schema');
+const { recordToolCall } = require('../outcome');
+const { renderTemplate } = require('../tenants');
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Vapi sends arguments as an object or as a JSON string. Anything that isn't
+// an object ("null", [], 5) counts as no arguments, so handlers can always
+// read params.<field>.
+function parseArguments(raw) {
+  if (raw == null || raw === '') return { params: {} };
+  let params = raw;
+  if (typeof raw === 'string') {
+    try {
+      params = JSON.parse(raw);
+    } catch (e) {
+      return { error: 'Arguments are not valid JSON' };
+    }
+  }
+  return { params: isPlainObject(params) ? params : {} };
+}
+
+function errorMessage(tenant, tool) {
+  return renderTemplate(tool.errorMessage, { owner_name: tenant.ownerName, business_name: tenant.businessName });
+}
+
+// Resolves to { success, message, ...details }; failures also carry
+// error (and errors: [{ field, problem }] for bad arguments)
+async function executeTool(tenant, name, rawArgs, ctx) {
+  const tool = Object.hasOwn(TOOLS, name) ? TOOLS[name] : null;
+  if (!tool) return { params: {}, result: { success: false, message: `Unknown function: ${name}`, error: 'unknown_tool' } };
+
+  const { params, error } = parseArguments(rawArgs);
+  if (error) {
+    console.warn(`TOOL_INVALID: ${name} — ${error}`);
+    return { params: {}, result: { success: false, message: errorMessage(tenant, tool), error: 'invalid_arguments' } };
+  }
+  const errors = validate(tool.parameters, params);
+  if (errors.length) {
+    console.warn(`TOOL_INVALID: ${name} — ${errors.map(e => `${e.field} ${e.problem}`).join('; ')}`);
+    return { params, result: { success: false, message: errorMessage(tenant, tool), error: 'invalid_arguments', errors } };
+  }
+  try {
+    return { params, result: await tool.handler(tenant, params, ctx) };
+  } catch (e) {
+    console.error(`Tool ${name} failed:`, e);
+    return { params, result: { success: false, message: errorMessage(tenant, tool), error: 'tool_failed' } };
+  }
+}
+
+// ctx: { callId, customerNumber }
+async function runTool(tenant, name, rawArgs, ctx = {}) {
+  const { params, result } = await executeTool(tenant, name, rawArgs, ctx);
+  await recordToolCall(tenant, ctx.callId, {
+    name, success: !!result.success, job_description: params.job_description, issue: params.issue,
+    // Copied onto the call record by the end-of-call-report
+    quote: result.quote || undefined, service_area: result.service_area || undefined,
+  });
+  return result;
+}
+
+// Tool list for a Vapi assistant's model.tools, pointed at our webhook
+function vapiToolDefinitions({ serverUrl } = {}) {
+  return Object.entries(TOOLS).map(([name, tool]) => ({
+    type: 'function',
+    function: { name, description: tool.description, parameters: vapiSchema(tool.parameters) },
+    ...(serverUrl ? { server: { url: serverUrl } } : {}),
+  }));
+}
+
+module.exports = { runTool, vapiToolDefinitions, TOOLS };
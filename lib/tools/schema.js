@@ -0,0 +1,67 @@
+/**
+ * Tool argument validation — lib/tools/schema.js
+ *
+ * The subset of JSON Schema the tool definitions use, so the same schema
+ * goes to Vapi (lib/tools/index.js) and checks what comes back:
+ *
+ *   type: object | string | number | integer | boolean
+ *   properties, required           (objects)
+ *   enum, minLength, maxLength     (strings)
+ *   format: date-time | phone      (phone = a number we can text, lib/sms.js)
+ *
+ * validate() returns a list of { field, problem }; empty means valid.
+ * Vapi doesn't know the custom 'phone' format, so vapiSchema() leaves it out.
+ */
+const { isValidPhone } = require('../sms');
+
+const FORMATS = {
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) && !isNaN(new Date(value)),
+  phone: isValidPhone,
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validate(schema, value, path = '') {
+  if (schema.type && !matchesType(value, schema.type)) return [{ field: path || 'arguments', problem: `must be ${schema.type}` }];
+  const errors = [];
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      const v = value[key];
+      if (v === undefined || v === null || (typeof v === 'string' && !v.trim())) errors.push({ field: key, problem: 'is required' });
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      const v = value[key];
+      if (v === undefined || v === null || (typeof v === 'string' && !v.trim())) continue;
+      errors.push(...validate(sub, v, path ? `${path}.${key}` : key));
+    }
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push({ field: path, problem: `must be one of ${schema.enum.join(', ')}` });
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) errors.push({ field: path, problem: `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength && value.length > schema.maxLength) errors.push({ field: path, problem: `must be at most ${schema.maxLength} characters` });
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) errors.push({ field: path, problem: `must be a valid ${schema.format}` });
+  }
+  return errors;
+}
+
+// The schema as Vapi should see it: standard keywords only
+function vapiSchema(schema) {
+  const { format, properties, ...rest } = schema;
+  const out = { ...rest };
+  if (format && format !== 'phone') out.format = format;
+  if (properties) out.properties = Object.fromEntries(Object.entries(properties).map(([k, v]) => [k, vapiSchema(v)]));
+  return out;
+}
+
+module.exports = { validate, vapiSchema };
@@ -0,0 +1,47 @@
+/**
+ * Trade taxonomy — lib/trades.js
+ *
+ * Maps free-text job descriptions to a job type. Tenants can replace the
+ * defaults or add their own with `trades` in their config:
+ *   trades: { pool: { label: 'Pool Service', keywords: ['pool', 'pump', 'chlorine'] } }
+ * Set `tradesReplaceDefaults: true` to use only the tenant's list.
+ */
+
+const DEFAULT_TRADES = {
+  plumbing: { label: 'Plumbing', keywords: ['plumb', 'leak', 'faucet', 'toilet', 'drain', 'clog', 'pipe', 'water heater', 'sewer', 'sink', 'disposal', 'shower', 'flood'] },
+  hvac: { label: 'HVAC', keywords: ['hvac', 'air condition', 'a/c', ' ac ', 'furnace', 'heat pump', 'thermostat', 'duct', 'no heat', 'no cool', 'blowing warm'] },
+  electrical: { label: 'Electrical', keywords: ['electric', 'outlet', 'breaker', 'panel', 'wiring', 'light fixture', 'switch', 'sparking', 'power out'] },
+  roofing: { label: 'Roofing', keywords: ['roof', 'shingle', 'gutter', 'skylight'] },
+  appliance: { label: 'Appliance Repair', keywords: ['dishwasher', 'washer', 'dryer', 'refrigerator', 'fridge', 'oven', 'stove', 'appliance'] },
+};
+
+function tradesFor(tenant) {
+  return tenant.tradesReplaceDefaults ? { ...tenant.trades } : { ...DEFAULT_TRADES, ...tenant.trades };
+}
+
+// Returns the label of the trade with the most keyword hits, or null
+function classifyJob(tenant, text) {
+  const haystack = ` ${String(text || '').toLowerCase()} `;
+  let best = null;
+  let bestHits = 0;
+  for (const trade of Object.values(tradesFor(tenant))) {
+    const hits = trade.keywords.filter(k => haystack.includes(k)).length;
+    if (hits > bestHits) {
+      best = trade.label;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+// Accepts a trade key or label (e.g. from Vapi structured data) and returns the label
+function normalizeJobType(tenant, value) {
+  if (!value) return null;
+  const v = String(value).toLowerCase().trim();
+  const trades = tradesFor(tenant);
+  if (trades[v]) return trades[v].label;
+  const match = Object.values(trades).find(t => t.label.toLowerCase() === v);
+  return match ? match.label : classifyJob(tenant, value) || String(value);
+}
+
+module.exports = { classifyJob, normalizeJobType, DEFAULT_TRADES };
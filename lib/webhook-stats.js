@@ -0,0 +1,81 @@
+/**
+ * Webhook traffic counters — lib/webhook-stats.js
+ *
+ * Every inbound webhook (Vapi, Telnyx, Cal.com) is counted by source in
+ * ten-minute buckets, so /api/health can report the recent error rate and
+ * how long ago each provider last reached us:
+ *   webhooks:<source>:<bucket> → { total, errors }   (errors = 5xx responses)
+ *   webhooks:<source>:last     → { at, status }
+ *
+ * The counters are deployment-wide, not per tenant — a request that can't be
+ * matched to a tenant still counts. Like lib/ratelimit.js they are not
+ * atomic, so concurrent requests can undercount slightly.
+ */
+const { getStore } = require('./storage');
+
+const BUCKET_MINUTES = 10;
+const WINDOW_MINUTES = 60;
+
+// Pseudo-tenant for deployment-wide values, like leadsAccount() in lib/leads.js
+function systemAccount() {
+  return { id: 'system', kvNamespace: 'system', retentionDays: 1 };
+}
+
+function bucketKey(source, time) {
+  const bucket = Math.floor(time / (BUCKET_MINUTES * 60000));
+  return `webhooks:${source}:${bucket}`;
+}
+
+async function recordWebhook(source, status) {
+  const store = getStore(systemAccount());
+  if (!store) return;
+  const now = Date.now();
+  const key = bucketKey(source, now);
+  const counts = (await store.getValue(key)) || { total: 0, errors: 0 };
+  counts.total += 1;
+  if (status >= 500) counts.errors += 1;
+  await Promise.all([
+    store.setValue(key, counts, { ttlSeconds: (WINDOW_MINUTES + BUCKET_MINUTES) * 60 }),
+    store.setValue(`webhooks:${source}:last`, { at: new Date(now).toISOString(), status }),
+  ]);
+}
+
+// Wraps a route handler so every response it sends is counted. Counting
+// never fails the request.
+function trackWebhook(source, handler) {
+  return async function tracked(req, res) {
+    try {
+      return await handler(req, res);
+    } finally {
+      await recordWebhook(source, res.statusCode || 200).catch(e => {
+        console.error('Webhook stats error:', e.message);
+      });
+    }
+  };
+}
+
+// → { events, errors, error_rate, last_event_at, last_event_age_seconds, last_status }
+// over the last WINDOW_MINUTES, or null without storage
+async function webhookStats(source) {
+  const store = getStore(systemAccount());
+  if (!store) return null;
+  const now = Date.now();
+  const keys = [];
+  for (let m = 0; m < WINDOW_MINUTES; m += BUCKET_MINUTES) keys.push(bucketKey(source, now - m * 60000));
+  const [last, ...buckets] = await Promise.all([
+    store.getValue(`webhooks:${source}:last`),
+    ...keys.map(k => store.getValue(k)),
+  ]);
+  const events = buckets.reduce((sum, b) => sum + (b?.total || 0), 0);
+  const errors = buckets.reduce((sum, b) => sum + (b?.errors || 0), 0);
+  return {
+    events,
+    errors,
+    error_rate: events ? Math.round((errors / events) * 1000) / 1000 : 0,
+    last_event_at: last?.at || null,
+    last_event_age_seconds: last ? Math.round((now - new Date(last.at).getTime()) / 1000) : null,
+    last_status: last?.status ?? null,
+  };
+}
+
+module.exports = { trackWebhook, recordWebhook, webhookStats, systemAccount, WINDOW_MINUTES };
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Replay a recorded webhook payload against its handler — scripts/replay.js
+ *
+ *   npm run replay -- <payload.json> [--route vapi|telnyx|telnyx-status|calcom]
+ *                     [--tenant <id>] [--live]
+ *
+ * The route is guessed from the payload when --route is left out: Vapi
+ * server messages have `message`, Telnyx events `data.event_type`, Cal.com
+ * webhooks `triggerEvent`.
+ *
+ * Offline (the default) the handler runs in-process against the test
+ * suite's stand-ins for Cal.com, Telnyx and KV (test/support), with a week
+ * of open slots on the calendar, and signature checks off. It prints the
+ * response and every request the handler made, so you can see exactly what
+ * would have been booked or texted without touching production.
+ * Tenants come from TENANTS / TENANTS_FILE / the legacy env as usual, or
+ * the test tenant when none is configured.
+ *
+ * --live uses the real services and storage from your environment. Vapi
+ * payloads are re-signed with VAPI_SIGNING_SECRET (the recorded timestamp
+ * would be stale), or sent with the legacy VAPI_SECRET header; other
+ * providers' signatures can't be re-created, so unset their secrets to
+ * replay those live.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROUTES = {
+  vapi: '../api/vapi/webhook',
+  telnyx: '../api/telnyx/inbound',
+  'telnyx-status': '../api/telnyx/status',
+  calcom: '../api/calcom/webhook',
+};
+
+function parseArgs(argv) {
+  const args = { live: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--live') args.live = true;
+    else if (argv[i] === '--route') args.route = argv[++i];
+    else if (argv[i] === '--tenant') args.tenant = argv[++i];
+    else args.file = argv[i];
+  }
+  return args;
+}
+
+function guessRoute(payload) {
+  if (payload.message) return 'vapi';
+  if (payload.triggerEvent) return 'calcom';
+  const event = payload.data?.event_type;
+  if (event === 'message.sent' || event === 'message.finalized') return 'telnyx-status';
+  if (event) return 'telnyx';
+  return null;
+}
+
+// Hourly slots, 9am–4pm Central, for the next week
+function weekOfSlots() {
+  const slots = [];
+  for (let day = 1; day <= 7; day++) {
+    for (let hour = 14; hour <= 21; hour++) {
+      const d = new Date(Date.now() + day * 86400000);
+      d.setUTCHours(hour, 0, 0, 0);
+      slots.push(d.toISOString());
+    }
+  }
+  return slots;
+}
+
+function describeRequest(r) {
+  const body = r.body && typeof r.body === 'object' ? JSON.stringify(r.body) : r.body || '';
+  return `  ${r.method} ${r.path}${body ? ` ${body}` : ''}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('Usage: npm run replay -- <payload.json> [--route vapi|telnyx|telnyx-status|calcom] [--tenant <id>] [--live]');
+    process.exit(2);
+  }
+  const payload = JSON.parse(fs.readFileSync(path.resolve(args.file), 'utf8'));
+  const route = args.route || guessRoute(payload);
+  if (!ROUTES[route]) {
+    console.error(`Can't tell which route this payload is for — pass --route (${Object.keys(ROUTES).join(', ')})`);
+    process.exit(2);
+  }
+
+  // Test helpers only — nothing here is loaded in production
+  const { startFakes, useTenants, invoke, signVapi } = require('../test/support');
+  let fakes = null;
+  if (!args.live) {
+    if (!process.env.TENANTS && !process.env.TENANTS_FILE && !process.env.BUSINESS_NAME) useTenants();
+    for (const key of ['VAPI_SIGNING_SECRET', 'VAPI_SIGNING_SECRET_PREVIOUS', 'VAPI_SECRET', 'TELNYX_PUBLIC_KEY', 'TELNYX_PUBLIC_KEY_PREVIOUS', 'CALCOM_WEBHOOK_SECRET', 'CALCOM_WEBHOOK_SECRET_PREVIOUS', 'PUBLIC_BASE_URL']) {
+      delete process.env[key];
+    }
+    fakes = await startFakes();
+    fakes.calcom.state.slots = weekOfSlots();
+  }
+
+  const raw = JSON.stringify(payload);
+  const headers = route === 'vapi' && process.env.VAPI_SIGNING_SECRET ? signVapi(raw)
+    : route === 'vapi' && process.env.VAPI_SECRET ? { 'x-vapi-secret': process.env.VAPI_SECRET } : {};
+  const query = args.tenant ? { tenant: args.tenant, account: args.tenant } : {};
+  const handler = require(ROUTES[route]);
+  try {
+    const res = await invoke(handler, { body: raw, headers, query });
+    console.log(`\n${route} → ${res.status}`);
+    console.log(JSON.stringify(res.body, null, 2));
+    if (fakes) {
+      for (const [name, fake] of [['Cal.com', fakes.calcom], ['Telnyx', fakes.telnyx]]) {
+        if (fake.requests.length) console.log(`\n${name} requests:\n${fake.requests.map(describeRequest).join('\n')}`);
+      }
+    }
+  } finally {
+    if (fakes) await fakes.close();
+  }
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exit(1);
+});
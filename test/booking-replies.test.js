@@ -0,0 +1,67 @@
+// Customer texts about an upcoming booking (lib/booking-replies.js)
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTenants, startFakes, invoke, futureSlot, TEST_TENANT } = require('./support');
+
+useTenants();
+delete process.env.TELNYX_PUBLIC_KEY;
+const { handleBookingReply } = require('../lib/booking-replies');
+const inboundHandler = require('../api/telnyx/inbound');
+const { isOptedOut } = require('../lib/optout');
+const { getStore } = require('../lib/storage');
+const { getTenant } = require('../lib/tenants');
+
+const CUSTOMER = '+12815550142';
+let fakes;
+let tenant;
+before(async () => {
+  fakes = await startFakes();
+  tenant = getTenant(TEST_TENANT.id);
+});
+after(() => fakes.close());
+beforeEach(async () => {
+  fakes.reset();
+  fakes.calcom.state.slots = [futureSlot(3, 15), futureSlot(4, 15), futureSlot(5, 15)];
+  await getStore(tenant).save({
+    id: 'booking-77', type: 'booking', phone: CUSTOMER, caller_name: 'Dana Reyes', status: 'booked',
+    time: futureSlot(2), created_at: new Date().toISOString(),
+  });
+});
+
+test('asking to reschedule offers numbered slots', async () => {
+  for (const text of ['Can I reschedule?', 'Need to change my appointment', 'could we do a different day']) {
+    fakes.telnyx.sent.length = 0;
+    assert.equal(await handleBookingReply(tenant, CUSTOMER, text), true, text);
+    assert.match(fakes.telnyx.sent[0].text, /reply with a number:\n1\) /);
+  }
+});
+
+test('everyday replies that mention moving or changing are left for the owner', async () => {
+  for (const text of ["I'll move the car so your guy can park", 'Any change in price?', 'Will the tech need to move anything?']) {
+    assert.equal(await handleBookingReply(tenant, CUSTOMER, text), false, text);
+  }
+  assert.equal(fakes.telnyx.sent.length, 0);
+  assert.equal(fakes.calcom.requests.length, 0);
+});
+
+test('CANCEL APPT cancels the booking', async () => {
+  assert.equal(await handleBookingReply(tenant, CUSTOMER, 'Cancel appt'), true);
+  assert.match(fakes.calcom.requests[0].path, /\/cancel$/);
+  assert.equal(await isOptedOut(tenant, CUSTOMER), false);
+});
+
+test('a bare CANCEL opts out and leaves the booking alone', async () => {
+  const res = await invoke(inboundHandler, {
+    body: {
+      data: {
+        event_type: 'message.received',
+        id: 'evt-cancel-1',
+        payload: { from: { phone_number: CUSTOMER }, to: [{ phone_number: TEST_TENANT.telnyx.phoneNumber }], text: 'CANCEL' },
+      },
+    },
+  });
+  assert.deepEqual(res.body, { ok: true, action: 'opt_out' });
+  assert.equal(await isOptedOut(tenant, CUSTOMER), true);
+  assert.equal(fakes.calcom.requests.length, 0);
+  assert.equal((await getStore(tenant).get('booking-77')).status, 'booked');
+});
@@ -0,0 +1,109 @@
+// Cal.com v2 → v1 fallback for availability, booking, cancel and reschedule
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTenants, startFakes, futureSlot, TEST_TENANT } = require('./support');
+
+useTenants();
+const { getAvailability, bookAppointment, cancelBooking, rescheduleBooking } = require('../lib/calcom');
+const { getTenant } = require('../lib/tenants');
+const { getCall } = require('../lib/store');
+
+let fakes;
+let tenant;
+before(async () => {
+  fakes = await startFakes();
+  tenant = getTenant(TEST_TENANT.id);
+});
+after(() => fakes.close());
+beforeEach(() => fakes.reset());
+
+const paths = () => fakes.calcom.requests.map(r => `${r.method} ${r.path}`);
+
+function booking(overrides = {}) {
+  return { caller_name: 'Dana Reyes', phone: '+12815550142', appointment_time: futureSlot(2), job_description: 'Leaking water heater', ...overrides };
+}
+
+test('availability comes from v2 when it answers', async () => {
+  fakes.calcom.state.slots = [futureSlot(1, 15), futureSlot(2, 15)];
+  const avail = await getAvailability(tenant, '', 'flexible');
+  assert.equal(avail.available, true);
+  assert.equal(avail.slots.length, 2);
+  assert.deepEqual(paths(), ['GET /v2/slots/available']);
+});
+
+test('availability falls back to v1 when v2 errors', async () => {
+  fakes.calcom.state.slots = [futureSlot(1, 15)];
+  fakes.calcom.fail('v2', 500);
+  const avail = await getAvailability(tenant, '', 'flexible');
+  assert.equal(avail.available, true);
+  assert.deepEqual(paths(), ['GET /v2/slots/available', 'GET /v1/availability']);
+});
+
+test('availability falls back to v1 when v2 is unreachable', async () => {
+  fakes.calcom.state.slots = [futureSlot(1, 15)];
+  fakes.calcom.fail('v2', 'drop');
+  const avail = await getAvailability(tenant, '', 'flexible');
+  assert.equal(avail.available, true);
+  assert.equal(avail.slots[0].iso, futureSlot(1, 15));
+});
+
+test('availability with both versions down tells the caller the owner will call', async () => {
+  fakes.calcom.fail('v2', 'drop');
+  fakes.calcom.fail('v1', 'drop');
+  const avail = await getAvailability(tenant, '', 'flexible');
+  assert.equal(avail.available, false);
+  assert.match(avail.message, /Joe/);
+});
+
+test('booking uses v2 and stores the booking record', async () => {
+  const result = await bookAppointment(tenant, booking());
+  assert.equal(result.success, true);
+  assert.deepEqual(paths(), ['POST /v2/bookings']);
+  const [made] = fakes.calcom.state.bookings;
+  const record = await getCall(tenant, `booking-${made.id}`);
+  assert.equal(record.booking_uid, made.uid);
+  assert.equal(record.end_time, made.end);
+});
+
+test('booking falls back to v1 when v2 rejects it', async () => {
+  fakes.calcom.fail('v2', 400);
+  const result = await bookAppointment(tenant, booking());
+  assert.equal(result.success, true);
+  assert.deepEqual(paths(), ['POST /v2/bookings', 'POST /v1/bookings']);
+  assert.equal(fakes.calcom.requests[1].body.responses.name, 'Dana Reyes');
+});
+
+test('booking with both versions down is reported, not stored', async () => {
+  fakes.calcom.fail('v2', 'drop');
+  fakes.calcom.fail('v1', 'drop');
+  const result = await bookAppointment(tenant, booking());
+  assert.equal(result.success, false);
+  assert.match(result.message, /call you/);
+  assert.equal(fakes.telnyx.sent.length, 0);
+});
+
+test('the same caller asking for the same slot again is not booked twice', async () => {
+  const params = booking({ appointment_time: futureSlot(4) });
+  await bookAppointment(tenant, params);
+  const again = await bookAppointment(tenant, params);
+  assert.equal(again.duplicate, true);
+  assert.equal(fakes.calcom.state.bookings.length, 1);
+});
+
+test('cancel and reschedule fall back to v1', async () => {
+  await bookAppointment(tenant, booking({ appointment_time: futureSlot(5) }));
+  const [made] = fakes.calcom.state.bookings;
+  let record = await getCall(tenant, `booking-${made.id}`);
+
+  fakes.calcom.fail('v2', 503);
+  const moved = await rescheduleBooking(tenant, record, futureSlot(6), 'Caller asked');
+  assert.equal(moved.success, true);
+  assert.equal(moved.booking.time, futureSlot(6));
+  assert.ok(paths().includes(`PATCH /v1/bookings/${made.id}`));
+
+  record = await getCall(tenant, record.id);
+  const cancelled = await cancelBooking(tenant, record, 'Caller cancelled');
+  assert.equal(cancelled.success, true);
+  assert.equal(made.status, 'cancelled');
+  assert.equal((await getCall(tenant, record.id)).status, 'cancelled');
+});
@@ -0,0 +1,80 @@
+// /api/calls against the KV stand-in
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTenants, startFakes, invoke, TEST_TENANT } = require('./support');
+
+useTenants();
+process.env.ADMIN_API_KEY = 'admin-test-key';
+const callsHandler = require('../api/calls');
+const accessLogHandler = require('../api/admin/access-log');
+const { createApiKey, listApiKeys } = require('../lib/apikeys');
+const callHandler = require('../api/calls/[id]');
+const { getStore } = require('../lib/storage');
+const { getTenant } = require('../lib/tenants');
+
+const AUTH = { authorization: `Bearer ${TEST_TENANT.dashboardToken}` };
+let fakes;
+before(async () => {
+  fakes = await startFakes();
+});
+after(() => fakes.close());
+beforeEach(async () => {
+  fakes.reset();
+  const store = getStore(getTenant(TEST_TENANT.id));
+  const at = minutesAgo => new Date(Date.now() - minutesAgo * 60000).toISOString();
+  await store.save({ id: 'call-1', type: 'call', phoneNumber: '+12815550142', status: 'Booked', created_at: at(30) });
+  await store.save({ id: 'booking-1', type: 'booking', phone: '+12815550142', status: 'booked', created_at: at(29) });
+  await store.save({ id: 'call-2', type: 'call', phoneNumber: '+12815550143', status: 'Completed', created_at: at(10) });
+});
+
+test('lists calls newest first from KV', async () => {
+  const res = await invoke(callsHandler, { method: 'GET', headers: AUTH });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, 'kv');
+  assert.deepEqual(res.body.calls.map(c => c.id), ['call-2', 'booking-1', 'call-1']);
+});
+
+test('filters and pages', async () => {
+  const res = await invoke(callsHandler, { method: 'GET', headers: AUTH, query: { type: 'call', limit: '1' } });
+  assert.deepEqual(res.body.calls.map(c => c.id), ['call-2']);
+  assert.equal(res.body.has_more, true);
+  const next = await invoke(callsHandler, { method: 'GET', headers: AUTH, query: { type: 'call', limit: '1', offset: String(res.body.next_offset) } });
+  assert.deepEqual(next.body.calls.map(c => c.id), ['call-1']);
+  assert.equal(next.body.has_more, false);
+});
+
+test('rejects a from or to that is not a date', async () => {
+  const res = await invoke(callsHandler, { method: 'GET', headers: AUTH, query: { from: 'last week' } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'from must be a date');
+  const ok = await invoke(callsHandler, { method: 'GET', headers: AUTH, query: { from: '2020-01-01', to: new Date().toISOString() } });
+  assert.equal(ok.status, 200);
+});
+
+test('detail view includes other activity from the same number', async () => {
+  const res = await invoke(callHandler, { method: 'GET', headers: AUTH, query: { id: 'call-1' } });
+  assert.equal(res.body.call.id, 'call-1');
+  assert.deepEqual(res.body.related.map(r => r.id), ['booking-1']);
+});
+
+test('refuses requests without a key', async () => {
+  const res = await invoke(callsHandler, { method: 'GET' });
+  assert.equal(res.status, 401);
+});
+
+test('parallel reads each land in the access log', async () => {
+  await Promise.all([1, 2, 3, 4].map(() => invoke(callsHandler, { method: 'GET', headers: AUTH })));
+  const res = await invoke(accessLogHandler, {
+    method: 'GET', headers: { authorization: 'Bearer admin-test-key' }, query: { tenant: TEST_TENANT.id },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.entries.length, 4);
+  assert.ok(res.body.entries.every(e => e.key === 'config'));
+});
+
+test('keys created at the same time are all listed', async () => {
+  const tenant = getTenant(TEST_TENANT.id);
+  const created = await Promise.all(['Office', 'Phone', 'Tablet'].map(name => createApiKey(tenant, { name })));
+  const listed = await listApiKeys(tenant);
+  assert.deepEqual(listed.map(k => k.id).sort(), created.map(c => c.record.id).sort());
+});
@@ -0,0 +1,163 @@
+// get_quote / check_service_area, the out-of-area guard on book_appointment,
+// and quotes landing on the call record
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTenants, startFakes, invoke, fixture, futureSlot, TEST_TENANT } = require('./support');
+const { createServer } = require('./support/server');
+
+useTenants([{
+  ...TEST_TENANT,
+  catalog: {
+    services: [
+      { name: 'Toilet replacement', keywords: ['toilet'], priceMin: 350, priceMax: 650, note: 'including haul-away' },
+      { name: 'Water heater flush', keywords: ['flush'], priceMin: 149, priceMax: 149 },
+    ],
+    tripFee: 79,
+    diagnosticFee: 89,
+    diagnosticCredited: true,
+  },
+  serviceArea: { zips: ['77002', '77003'], center: { lat: 29.7604, lng: -95.3698 }, radiusMiles: 25 },
+}]);
+const { runTool } = require('../lib/tools');
+const { getToolCalls } = require('../lib/outcome');
+const { getStore } = require('../lib/storage');
+const { getTenant } = require('../lib/tenants');
+const webhookHandler = require('../api/vapi/webhook');
+
+// Stand-in for the Census geocoder: Katy is ~27 miles out, Pasadena ~11
+const PLACES = { katy: { x: -95.8244, y: 29.7858 }, pasadena: { x: -95.2091, y: 29.6911 } };
+const geocoder = createServer((req, body, url) => {
+  const address = (url.searchParams.get('address') || '').toLowerCase();
+  const place = Object.keys(PLACES).find(p => address.includes(p));
+  return { body: { result: { addressMatches: place ? [{ coordinates: PLACES[place] }] : [] } } };
+});
+
+let fakes;
+let tenant;
+before(async () => {
+  fakes = await startFakes();
+  process.env.GEOCODER_URL = await geocoder.start();
+  delete process.env.VAPI_SIGNING_SECRET;
+  delete process.env.VAPI_SECRET;
+  tenant = getTenant(TEST_TENANT.id);
+});
+after(() => Promise.all([fakes.close(), geocoder.close()]));
+beforeEach(() => {
+  fakes.reset();
+  geocoder.requests.length = 0;
+});
+
+test('get_quote gives the price range and fees for a known job', async () => {
+  const result = await runTool(tenant, 'get_quote', { job_description: 'I need my toilet replaced' });
+  assert.equal(result.success, true);
+  assert.equal(result.quote.service, 'Toilet replacement');
+  assert.equal(result.message,
+    "Toilet replacement usually runs between $350 and $650, including haul-away. There's a $79 trip fee and an $89 diagnostic fee that comes off the repair if you go ahead. Joe will confirm the exact price on site.");
+});
+
+test('get_quote without a matching service offers an on-site quote', async () => {
+  const result = await runTool(tenant, 'get_quote', { job_description: 'install a sauna' });
+  assert.equal(result.success, false);
+  assert.equal(result.quote, null);
+  assert.match(result.message, /^I don't have a set price for that — Joe will need to take a look/);
+});
+
+test('check_service_area accepts listed zips without geocoding', async () => {
+  const result = await runTool(tenant, 'check_service_area', { address: '1200 Main St, Houston, TX 77002' });
+  assert.equal(result.in_area, true);
+  assert.equal(result.reason, 'zip');
+  assert.equal(geocoder.requests.length, 0);
+});
+
+test('check_service_area falls back to the radius for other zips', async () => {
+  const near = await runTool(tenant, 'check_service_area', { address: '5 Shaver St, Pasadena, TX 77506' });
+  assert.equal(near.in_area, true);
+  assert.equal(near.reason, 'radius');
+
+  const far = await runTool(tenant, 'check_service_area', { address: '9 Avenue B, Katy, TX 77493' });
+  assert.equal(far.in_area, false);
+  assert.ok(far.miles > 25);
+  assert.match(far.message, /outside our service area/);
+});
+
+test("an address the geocoder can't place is unknown, not refused", async () => {
+  const result = await runTool(tenant, 'check_service_area', { address: 'the old mill, 77777' });
+  assert.equal(result.in_area, null);
+  assert.equal(result.success, true);
+});
+
+test('a geocoder that hangs leaves the area unknown and the booking goes ahead', async () => {
+  const slow = createServer(() => new Promise(resolve => setTimeout(() => resolve({ body: {} }), 500)));
+  const realUrl = process.env.GEOCODER_URL;
+  process.env.GEOCODER_URL = await slow.start();
+  process.env.GEOCODER_TIMEOUT_MS = '50';
+  try {
+    const area = await runTool(tenant, 'check_service_area', { address: '9 Avenue B, Katy, TX 77493' });
+    assert.equal(area.in_area, null);
+    assert.equal(area.reason, 'geocode_failed');
+
+    const booked = await runTool(tenant, 'book_appointment', {
+      caller_name: 'Dana Reyes', phone: '+12815550142', appointment_time: futureSlot(3), address: '9 Avenue B, Katy, TX 77493',
+    });
+    assert.equal(booked.success, true);
+  } finally {
+    process.env.GEOCODER_URL = realUrl;
+    delete process.env.GEOCODER_TIMEOUT_MS;
+    await slow.close();
+  }
+});
+
+test('book_appointment refuses an out-of-area address before touching the calendar', async () => {
+  const result = await runTool(tenant, 'book_appointment', {
+    caller_name: 'Dana Reyes', phone: '+12815550142', appointment_time: futureSlot(2), address: '9 Avenue B, Katy, TX 77493',
+  });
+  assert.equal(result.success, false);
+  assert.equal(result.out_of_area, true);
+  assert.equal(fakes.calcom.requests.length, 0);
+});
+
+test('quotes and out-of-area checks from the call are saved on the call record', async () => {
+  const ctx = { callId: 'call-fixture-1', customerNumber: '+12815550142' };
+  await runTool(tenant, 'get_quote', { job_description: 'toilet replacement' }, ctx);
+  await runTool(tenant, 'book_appointment', {
+    caller_name: 'Dana Reyes', phone: '+12815550142', appointment_time: futureSlot(4), address: '9 Avenue B, Katy, TX 77493',
+  }, ctx);
+
+  const res = await invoke(webhookHandler, { body: fixture('vapi/end-of-call-report') });
+  assert.equal(res.status, 200);
+  const call = await getStore(tenant).get('call-fixture-1');
+  assert.deepEqual(call.quotes.map(q => [q.service, q.price_min, q.price_max]), [['Toilet replacement', 350, 650]]);
+  assert.equal(call.out_of_area, true);
+  assert.equal(call.service_area_checks[0].address, '9 Avenue B, Katy, TX 77493');
+});
+
+test('an out-of-area address followed by a booking elsewhere is not flagged', async () => {
+  const payload = fixture('vapi/end-of-call-report');
+  payload.message.call.id = 'call-fixture-3';
+  const ctx = { callId: 'call-fixture-3', customerNumber: '+12815550142' };
+  const booking = { caller_name: 'Dana Reyes', phone: '+12815550142', appointment_time: futureSlot(5) };
+  await runTool(tenant, 'book_appointment', { ...booking, address: '9 Avenue B, Katy, TX 77493' }, ctx);
+  const booked = await runTool(tenant, 'book_appointment', { ...booking, address: '1200 Main St, Houston, TX 77002' }, ctx);
+  assert.equal(booked.success, true);
+
+  await invoke(webhookHandler, { body: payload });
+  const call = await getStore(tenant).get('call-fixture-3');
+  assert.equal(call.status, 'Booked');
+  assert.equal(call.out_of_area, false);
+  assert.equal(call.service_area_checks.length, 1);
+  assert.equal(fakes.telnyx.sent.some(m => /outside service area/.test(m.text)), false);
+});
+
+test('tools that run in parallel on one call all land in its tool log', async () => {
+  const ctx = { callId: 'call-parallel-1', customerNumber: '+12815550142' };
+  await Promise.all([
+    runTool(tenant, 'get_quote', { job_description: 'toilet replacement' }, ctx),
+    runTool(tenant, 'get_quote', { job_description: 'water heater flush' }, ctx),
+    runTool(tenant, 'check_service_area', { address: '9 Avenue B, Katy, TX 77493' }, ctx),
+  ]);
+
+  const calls = await getToolCalls(tenant, 'call-parallel-1');
+  assert.equal(calls.length, 3);
+  assert.deepEqual(calls.filter(c => c.quote).map(c => c.quote.service).sort(), ['Toilet replacement', 'Water heater flush']);
+  assert.equal(calls.find(c => c.service_area).service_area.in_area, false);
+});
@@ -0,0 +1,51 @@
+// Cron routes only run with CRON_SECRET
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTenants, invoke } = require('./support');
+
+useTenants();
+process.env.STORAGE_DRIVER = 'memory';
+const handlers = ['escalations', 'messages', 'retention'].map(name => [name, require(`../api/cron/${name}`)]);
+const { leadsAccount } = require('../lib/leads');
+const { getStore } = require('../lib/storage');
+
+afterEach(() => {
+  delete process.env.CRON_SECRET;
+});
+
+test('refuse to run when CRON_SECRET is not set', async () => {
+  for (const [name, handler] of handlers) {
+    const res = await invoke(handler, { method: 'GET' });
+    assert.equal(res.status, 503, name);
+  }
+});
+
+test('refuse requests without the secret', async () => {
+  process.env.CRON_SECRET = 'cron-test-secret';
+  for (const [name, handler] of handlers) {
+    const res = await invoke(handler, { method: 'GET', headers: { authorization: 'Bearer wrong' } });
+    assert.equal(res.status, 401, name);
+  }
+});
+
+test('run with the secret', async () => {
+  process.env.CRON_SECRET = 'cron-test-secret';
+  for (const [name, handler] of handlers) {
+    const res = await invoke(handler, { method: 'GET', headers: { authorization: 'Bearer cron-test-secret' } });
+    assert.equal(res.status, 200, name);
+    assert.equal(res.body.ok, true, name);
+  }
+});
+
+test('retention purges leads past their retention period too', async () => {
+  process.env.CRON_SECRET = 'cron-test-secret';
+  const store = getStore(leadsAccount());
+  const old = new Date(Date.now() - (leadsAccount().retentionDays + 1) * 86400000).toISOString();
+  await store.save({ id: 'lead-old', type: 'lead', phone: '+12815550155', created_at: old });
+  await store.save({ id: 'lead-new', type: 'lead', phone: '+12815550156', created_at: new Date().toISOString() });
+
+  const res = await invoke(handlers[2][1], { method: 'GET', headers: { authorization: 'Bearer cron-test-secret' } });
+  assert.equal(res.body.purged.callcovered, 1);
+  assert.equal(await store.get('lead-old'), null);
+  assert.ok(await store.get('lead-new'));
+});
@@ -0,0 +1,43 @@
+// What callers say about when they want the job done (lib/dates.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePreferredDate } = require('../lib/dates');
+
+const TZ = 'America/Chicago';
+// Monday, Oct 19 2026, noon in Chicago
+const MONDAY = new Date('2026-10-19T17:00:00Z');
+
+function day(input, now = MONDAY) {
+  const { startDay, label } = parsePreferredDate(input, TZ, now);
+  return [`${startDay.month}/${startDay.day}`, label];
+}
+
+test('a bare weekday is the coming one', () => {
+  assert.deepEqual(day('Tuesday'), ['10/20', 'Tuesday']);
+  assert.deepEqual(day('friday afternoon'), ['10/23', 'Friday afternoon']);
+  assert.deepEqual(day('Monday'), ['10/19', 'Monday']);
+});
+
+test('"next <weekday>" is the week after, with the exact date to read back', () => {
+  assert.deepEqual(day('next Tuesday'), ['10/27', 'Tuesday, Oct 27']);
+  assert.deepEqual(day('next Monday'), ['10/26', 'Monday, Oct 26']);
+  // Thursday Oct 22: the Friday after tomorrow's
+  assert.deepEqual(day('next friday', new Date('2026-10-22T17:00:00Z')), ['10/30', 'Friday, Oct 30']);
+});
+
+test('"next <weekday>" said at the weekend is the coming week', () => {
+  // Saturday Oct 24
+  const saturday = new Date('2026-10-24T17:00:00Z');
+  assert.deepEqual(day('next monday', saturday), ['10/26', 'Monday, Oct 26']);
+  assert.deepEqual(day('next friday', saturday), ['10/30', 'Friday, Oct 30']);
+  // Sunday is still this week's
+  assert.deepEqual(day('next sunday', saturday), ['11/1', 'Sunday, Nov 1']);
+});
+
+test('"by 10/22" is a date, not a time of day', () => {
+  const result = parsePreferredDate('by 10/22', TZ, MONDAY);
+  assert.deepEqual([result.startDay.month, result.startDay.day], [10, 22]);
+  assert.equal(result.fromMinutes, 0);
+  assert.equal(result.toMinutes, 24 * 60);
+  assert.deepEqual(day('by 10am on 10/22'), ['10/22', 'Thursday, Oct 22 before 10am']);
+});
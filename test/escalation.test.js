@@ -0,0 +1,74 @@
+// Emergency paging outside hours and the escalation cron (lib/escalation.js)
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTenants, startFakes, TEST_TENANT } = require('./support');
+const { zonedParts, dateKey } = require('../lib/time');
+
+// Open every day, except that today is a holiday — so it's always after hours
+const EVERY_DAY = Object.fromEntries(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map(d => [d, ['08:00-17:00']]));
+useTenants([{
+  ...TEST_TENANT,
+  hours: EVERY_DAY,
+  holidays: [dateKey(zonedParts(new Date(), TEST_TENANT.timezone))],
+  afterHours: { emergencyPolicy: 'defer' },
+  escalation: { contacts: [{ name: 'Joe', phone: '+12815550100' }, { name: 'Ana', phone: '+12815550101' }] },
+}]);
+const { raiseEmergency, advanceEscalations, acknowledge } = require('../lib/escalation');
+const { getStore } = require('../lib/storage');
+const { getTenant } = require('../lib/tenants');
+
+const EMERGENCY = { caller_name: 'Dana Reyes', phone: '+12815550142', issue: 'Burst pipe', address: '1200 Main St' };
+let fakes;
+let tenant;
+before(async () => {
+  fakes = await startFakes();
+  tenant = getTenant(TEST_TENANT.id);
+});
+after(() => fakes.close());
+beforeEach(() => fakes.reset());
+
+async function makeDue(id) {
+  const record = await getStore(tenant).get(id);
+  await getStore(tenant).update(id, { escalation: { ...record.escalation, next_action_at: new Date(Date.now() - 1000).toISOString() } });
+}
+
+test('a deferred emergency is paged at opening time', async () => {
+  const alert = await raiseEmergency(tenant, EMERGENCY, { callId: 'call-defer-1' });
+  assert.equal(alert.deferred, true);
+  assert.equal(fakes.telnyx.sent.length, 0);
+  assert.equal(alert.record.escalation.next_action_at, new Date(alert.nextOpen).toISOString());
+
+  // Not open yet
+  assert.equal(await advanceEscalations(tenant), 0);
+  await makeDue(alert.record.id);
+  assert.equal(await advanceEscalations(tenant), 1);
+  assert.equal(fakes.telnyx.sent[0].to[0].phone_number, '+12815550100');
+  const record = await getStore(tenant).get(alert.record.id);
+  assert.equal(record.escalation.status, 'alerting');
+  assert.equal(record.alert_sent, true);
+});
+
+test("an ACK that lands while the cron is paging isn't overwritten", async () => {
+  const alert = await raiseEmergency(tenant, EMERGENCY, { callId: 'call-defer-2' });
+  await makeDue(alert.record.id);
+  await advanceEscalations(tenant);
+  await makeDue(alert.record.id);
+
+  // Joe replies ACK while the page to Ana is on its way
+  fakes.telnyx.respondWith(async () => {
+    assert.equal(await acknowledge(tenant, '+12815550100'), true);
+    return 'ok';
+  });
+  await advanceEscalations(tenant);
+  const record = await getStore(tenant).get(alert.record.id);
+  assert.equal(record.escalation.status, 'acknowledged');
+  assert.equal(record.escalation.acknowledged_by, 'Joe');
+  assert.deepEqual(record.escalation.attempts.map(a => a.contact), ['Joe', 'Ana']);
+  assert.deepEqual(await getStore(tenant).getSet('escalations:active'), []);
+
+  // Nobody is paged again
+  await makeDue(alert.record.id);
+  const sent = fakes.telnyx.sent.length;
+  assert.equal(await advanceEscalations(tenant), 0);
+  assert.equal(fakes.telnyx.sent.length, sent);
+});
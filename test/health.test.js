@@ -0,0 +1,103 @@
+// /api/health deep checks and /api/health/live against the stand-ins
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTenants, startFakes, invoke, signVapi, fixture, futureSlot } = require('./support');
+const { createServer } = require('./support/server');
+
+useTenants();
+process.env.VAPI_SIGNING_SECRET = 'vapi-test-secret';
+process.env.ADMIN_API_KEY = 'admin-test-key';
+const healthHandler = require('../api/health');
+const liveHandler = require('../api/health/live');
+const webhookHandler = require('../api/vapi/webhook');
+const { recordWebhook } = require('../lib/webhook-stats');
+
+let fakes;
+before(async () => {
+  fakes = await startFakes();
+});
+after(() => fakes.close());
+function deepCheck(headers = { authorization: 'Bearer admin-test-key' }) {
+  return invoke(healthHandler, { method: 'GET', headers });
+}
+
+beforeEach(() => {
+  fakes.reset();
+  fakes.calcom.state.slots = [futureSlot(1, 15), futureSlot(2, 15)];
+  delete process.env.HEALTH_CHECK_TIMEOUT_MS;
+});
+
+test('the deep check needs the admin key and calls nothing without it', async () => {
+  for (const headers of [{}, { authorization: 'Bearer dash-test-token' }]) {
+    const res = await deepCheck(headers);
+    assert.equal(res.status, 401);
+    assert.deepEqual(res.body, { error: 'Unauthorized' });
+  }
+  assert.equal(fakes.calcom.requests.length + fakes.telnyx.requests.length + fakes.kv.requests.length, 0);
+});
+
+test('READY when every configured provider checks out', async () => {
+  const res = await deepCheck();
+  assert.equal(res.status, 200);
+  assert.equal(res.body.overall, 'READY');
+  assert.deepEqual(Object.keys(res.body.checks).sort(), [
+    'calendar:acme-plumbing', 'config', 'sms:acme-plumbing', 'storage', 'webhooks:calcom', 'webhooks:telnyx', 'webhooks:vapi',
+  ]);
+  assert.match(res.body.checks['sms:acme-plumbing'].message, /Acme SMS/);
+  assert.match(res.body.checks['calendar:acme-plumbing'].message, /^2 open slots/);
+  assert.match(res.body.checks.storage.message, /\(kv\)/);
+});
+
+test('a number without an enabled messaging profile fails the sms check', async () => {
+  fakes.telnyx.profiles[0].enabled = false;
+  const res = await deepCheck();
+  assert.equal(res.status, 503);
+  assert.equal(res.body.overall, 'ISSUES_FOUND');
+  assert.equal(res.body.checks['sms:acme-plumbing'].ok, false);
+  assert.match(res.body.checks['sms:acme-plumbing'].message, /disabled/);
+});
+
+test('an event type with no upcoming slots fails the calendar check', async () => {
+  fakes.calcom.state.slots = [];
+  const res = await deepCheck();
+  assert.equal(res.body.checks['calendar:acme-plumbing'].ok, false);
+  assert.equal(res.body.checks['sms:acme-plumbing'].ok, true);
+});
+
+test('a provider that hangs times out instead of holding up the response', async () => {
+  const slow = createServer(() => new Promise(resolve => setTimeout(() => resolve({ body: {} }), 500)));
+  const realUrl = process.env.CALCOM_API_URL;
+  process.env.CALCOM_API_URL = await slow.start();
+  process.env.HEALTH_CHECK_TIMEOUT_MS = '50';
+  try {
+    const res = await deepCheck();
+    assert.equal(res.body.checks['calendar:acme-plumbing'].ok, false);
+    assert.match(res.body.checks['calendar:acme-plumbing'].message, /Timed out after 50ms/);
+  } finally {
+    process.env.CALCOM_API_URL = realUrl;
+    await slow.close();
+  }
+});
+
+test('webhook traffic is reported, and a high error rate fails the check', async () => {
+  await invoke(webhookHandler, { body: fixture('vapi/status-update'), headers: signVapi(fixture('vapi/status-update')) });
+  let res = await deepCheck();
+  const vapi = res.body.checks['webhooks:vapi'];
+  assert.equal(vapi.ok, true);
+  assert.equal(vapi.events, 1);
+  assert.equal(vapi.last_status, 200);
+  assert.ok(vapi.last_event_age_seconds <= 5);
+  assert.equal(res.body.checks['webhooks:calcom'].last_event_at, null);
+
+  for (let i = 0; i < 5; i++) await recordWebhook('vapi', 500);
+  res = await deepCheck();
+  assert.equal(res.body.checks['webhooks:vapi'].ok, false);
+  assert.equal(res.body.checks['webhooks:vapi'].error_rate, 0.833);
+});
+
+test('liveness answers without calling anything', async () => {
+  const res = await invoke(liveHandler, { method: 'GET' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(fakes.calcom.requests.length + fakes.telnyx.requests.length + fakes.kv.requests.length, 0);
+});
@@ -0,0 +1,91 @@
+// Early-access leads: signup texts and replies to the leads number
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTenants, startFakes, invoke, TEST_TENANT } = require('./support');
+
+useTenants();
+process.env.LEADS_SMS_FROM = '+12815550111';
+delete process.env.TELNYX_PUBLIC_KEY;
+const leadsHandler = require('../api/leads');
+const inboundHandler = require('../api/telnyx/inbound');
+const { leadsAccount } = require('../lib/leads');
+const { sendSMS, retryMessages } = require('../lib/sms');
+const { isOptedOut } = require('../lib/optout');
+const { getStore } = require('../lib/storage');
+const { getTenant } = require('../lib/tenants');
+
+const LEAD_PHONE = '+12815550155';
+let fakes;
+before(async () => {
+  fakes = await startFakes();
+});
+after(() => fakes.close());
+beforeEach(() => fakes.reset());
+
+function inbound(from, to, text) {
+  return {
+    data: {
+      event_type: 'message.received',
+      id: `evt-${Date.now()}`,
+      payload: { from: { phone_number: from }, to: [{ phone_number: to }], text },
+    },
+  };
+}
+
+test("a lead's STOP to the leads number blocks the next lead text", async () => {
+  // The welcome text fails and is queued for a retry
+  fakes.telnyx.respondWith(503);
+  const res = await invoke(leadsHandler, {
+    body: { name: 'Sam Ortiz', business: 'Ortiz HVAC', phone: LEAD_PHONE, consent_version: '2026-10-19' },
+  });
+  assert.equal(res.status, 200);
+  const [lead] = await getStore(leadsAccount()).find({ type: 'lead' });
+  assert.equal(lead.welcome_sms.status, 'queued');
+
+  const stop = await invoke(inboundHandler, { body: inbound(LEAD_PHONE, process.env.LEADS_SMS_FROM, 'STOP') });
+  assert.deepEqual(stop.body, { ok: true, action: 'opt_out' });
+  assert.equal(await isOptedOut(leadsAccount(), LEAD_PHONE), true);
+  assert.equal(await isOptedOut(getTenant(TEST_TENANT.id), LEAD_PHONE), false);
+  assert.match(fakes.telnyx.sent.at(-1).text, /unsubscribed from CallCovered/);
+
+  // Neither the queued welcome nor a new text goes out
+  await getStore(leadsAccount()).update(lead.welcome_sms.message_id, { next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+  assert.equal(await retryMessages(leadsAccount()), 0);
+  const next = await sendSMS(leadsAccount(), LEAD_PHONE, 'Following up on your signup');
+  assert.equal(next.status, 'blocked');
+});
+
+test("without LEADS_SMS_FROM, leads aren't texted from a tenant's number and its STOPs stay with the tenant", async () => {
+  const leadsFrom = process.env.LEADS_SMS_FROM;
+  delete process.env.LEADS_SMS_FROM;
+  process.env.TELNYX_PHONE_NUMBER = TEST_TENANT.telnyx.phoneNumber;
+  try {
+    const res = await invoke(leadsHandler, {
+      body: { name: 'Kim Vo', business: 'Vo Electric', phone: '+12815550156', consent_version: '2026-10-19' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(fakes.telnyx.sent.length, 0);
+
+    await invoke(inboundHandler, { body: inbound('+12815550156', TEST_TENANT.telnyx.phoneNumber, 'STOP') });
+    assert.equal(await isOptedOut(getTenant(TEST_TENANT.id), '+12815550156'), true);
+  } finally {
+    process.env.LEADS_SMS_FROM = leadsFrom;
+    delete process.env.TELNYX_PHONE_NUMBER;
+  }
+});
+
+test('a repeat signup with the same email is matched without scanning every lead', async () => {
+  const signup = phone => invoke(leadsHandler, {
+    body: { name: 'Ari Lane', business: 'Lane Roofing', phone, email: 'ari@laneroofing.com', consent_version: '2026-10-19' },
+  });
+  await signup('+12815550157');
+  fakes.kv.requests.length = 0;
+  await signup('+12815550158');
+  const scans = fakes.kv.requests.filter(r => /ZREVRANGEBYSCORE","[^"]*idx:type:lead"/.test(JSON.stringify(r.body)));
+  assert.equal(scans.length, 0);
+
+  const leads = (await getStore(leadsAccount()).find({ type: 'lead' })).filter(l => l.email === 'ari@laneroofing.com');
+  assert.equal(leads.length, 1);
+  assert.equal(leads[0].submissions, 2);
+  assert.match(leads[0].id, /^lead-\d+-[0-9a-f]{8}$/);
+});
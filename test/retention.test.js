@@ -0,0 +1,37 @@
+// Caller data export and deletion (lib/retention.js)
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTenants, startFakes, futureSlot, TEST_TENANT } = require('./support');
+
+useTenants();
+const { runTool } = require('../lib/tools');
+const { exportCallerData, deleteCallerData } = require('../lib/retention');
+const { getStore } = require('../lib/storage');
+const { getTenant } = require('../lib/tenants');
+
+const CALLER = '+12815550142';
+let fakes;
+let tenant;
+before(async () => {
+  fakes = await startFakes();
+  tenant = getTenant(TEST_TENANT.id);
+});
+after(() => fakes.close());
+beforeEach(() => fakes.reset());
+
+test("the owner's text about a booking is exported and deleted with the caller's data", async () => {
+  const booked = await runTool(tenant, 'book_appointment', {
+    caller_name: 'Dana Reyes', phone: CALLER, appointment_time: futureSlot(2), address: '1200 Main St, Houston, TX 77002',
+  });
+  assert.equal(booked.success, true);
+
+  const exported = await exportCallerData(tenant, CALLER);
+  const texts = exported.records.filter(r => r.type === 'message');
+  assert.deepEqual(texts.map(m => m.to).sort(), [TEST_TENANT.ownerPhone, CALLER]);
+  assert.match(texts.find(m => m.to === TEST_TENANT.ownerPhone).text, /Dana Reyes/);
+
+  const { ids } = await deleteCallerData(tenant, CALLER);
+  for (const id of ids) assert.equal(await getStore(tenant).get(id), null);
+  assert.deepEqual(await getStore(tenant).find({ type: 'message' }), []);
+  assert.deepEqual(await getStore(tenant).find({ phone: TEST_TENANT.ownerPhone }), []);
+});
@@ -0,0 +1,120 @@
+// Telnyx sends, retries and delivery receipts through the message log
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTenants, startFakes, invoke, TEST_TENANT } = require('./support');
+
+useTenants();
+const { sendSMS, retryMessages } = require('../lib/sms');
+const { setOptedOut } = require('../lib/optout');
+const { getStore } = require('../lib/storage');
+const { getTenant } = require('../lib/tenants');
+const statusHandler = require('../api/telnyx/status');
+
+const CALLER = '+12815550142';
+let fakes;
+let tenant;
+before(async () => {
+  fakes = await startFakes();
+  tenant = getTenant(TEST_TENANT.id);
+});
+after(() => fakes.close());
+beforeEach(() => fakes.reset());
+
+// Skip the backoff wait
+async function makeDue(messageId) {
+  await getStore(tenant).update(messageId, { next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+}
+
+test('an accepted text is logged as sent', async () => {
+  const result = await sendSMS(tenant, '(281) 555-0142', 'Hello');
+  assert.equal(result.ok, true);
+  assert.equal(result.status, 'sent');
+  assert.equal(fakes.telnyx.sent[0].to[0].phone_number, CALLER);
+  const message = await getStore(tenant).get(result.messageId);
+  assert.equal(message.provider_id, fakes.telnyx.sent[0].id);
+});
+
+test('a 5xx is queued and retried with backoff', async () => {
+  fakes.telnyx.respondWith(503);
+  const result = await sendSMS(tenant, CALLER, 'Hello');
+  assert.equal(result.ok, false);
+  assert.equal(result.status, 'queued');
+
+  // Not due yet
+  assert.equal(await retryMessages(tenant), 0);
+  await makeDue(result.messageId);
+  assert.equal(await retryMessages(tenant), 1);
+  const message = await getStore(tenant).get(result.messageId);
+  assert.equal(message.status, 'sent');
+  assert.equal(message.attempts, 2);
+  assert.equal(fakes.telnyx.sent.length, 1);
+});
+
+test('a dropped connection is retried too', async () => {
+  fakes.telnyx.respondWith('drop');
+  const result = await sendSMS(tenant, CALLER, 'Hello');
+  assert.equal(result.status, 'queued');
+});
+
+test('a 4xx fails for good', async () => {
+  fakes.telnyx.respondWith(400);
+  const result = await sendSMS(tenant, CALLER, 'Hello');
+  assert.equal(result.status, 'failed');
+  const retrying = await getStore(tenant).getSet('messages:retry');
+  assert.equal(retrying.includes(result.messageId), false);
+});
+
+test('a queued text to someone who opts out meanwhile is cancelled', async () => {
+  fakes.telnyx.respondWith(500);
+  const result = await sendSMS(tenant, '+12815550177', 'Hello');
+  await setOptedOut(tenant, '+12815550177', true);
+  await makeDue(result.messageId);
+  assert.equal(await retryMessages(tenant), 0);
+  assert.equal((await getStore(tenant).get(result.messageId)).status, 'failed');
+  assert.equal(fakes.telnyx.sent.length, 0);
+});
+
+test('opted-out numbers are never texted', async () => {
+  await setOptedOut(tenant, '+12815550188', true);
+  const result = await sendSMS(tenant, '+12815550188', 'Hello');
+  assert.equal(result.status, 'blocked');
+  assert.equal(fakes.telnyx.requests.length, 0);
+});
+
+test('delivery receipts update the message and the record it belongs to', async () => {
+  const store = getStore(tenant);
+  await store.save({ id: 'booking-900', type: 'booking', phone: CALLER, created_at: new Date().toISOString() });
+  const result = await sendSMS(tenant, CALLER, 'Confirmed', { ref: { id: 'booking-900', field: 'customer_sms' } });
+  await store.update('booking-900', { customer_sms: { message_id: result.messageId, status: result.status } });
+
+  const receipt = fakes.telnyx.deliveryReceipt(fakes.telnyx.sent[0], 'delivered');
+  const res = await invoke(statusHandler, { body: receipt, query: { account: tenant.id } });
+  assert.deepEqual(res.body, { ok: true, status: 'delivered' });
+  assert.equal((await store.get(result.messageId)).status, 'delivered');
+  assert.equal((await store.get('booking-900')).customer_sms.status, 'delivered');
+
+  // A late, out-of-order "sent" doesn't undo it
+  const late = fakes.telnyx.deliveryReceipt(fakes.telnyx.sent[0], 'sent');
+  await invoke(statusHandler, { body: late, query: { account: tenant.id } });
+  assert.equal((await store.get(result.messageId)).status, 'delivered');
+});
+
+test('texts that fail at the same time are all queued for a retry', async () => {
+  const phones = ['+12815550161', '+12815550162', '+12815550163', '+12815550164'];
+  fakes.telnyx.respondWith(...phones.map(() => 503));
+  const results = await Promise.all(phones.map(p => sendSMS(tenant, p, 'Hello')));
+  const retrying = await getStore(tenant).getSet('messages:retry');
+  assert.deepEqual(retrying.sort(), results.map(r => r.messageId).sort());
+});
+
+test('a retry list saved before the set is still retried', async () => {
+  fakes.telnyx.respondWith(503);
+  const result = await sendSMS(tenant, CALLER, 'Hello');
+  const store = getStore(tenant);
+  await store.removeFromSet('messages:retry', result.messageId);
+  await store.setValue('messages:retry', [result.messageId]);
+  await makeDue(result.messageId);
+
+  assert.equal(await retryMessages(tenant), 1);
+  assert.equal(await store.getValue('messages:retry'), null);
+});
@@ -0,0 +1,109 @@
+/**
+ * Local stand-in for the Cal.com API — test/support/fake-calcom.js
+ *
+ * Answers the v2 and v1 endpoints lib/calcom.js and /api/health call, in
+ * each version's response shape:
+ *
+ *   availability   GET  /v2/slots/available      GET    /v1/availability
+ *   book           POST /v2/bookings             POST   /v1/bookings
+ *   cancel         POST /v2/bookings/:uid/cancel DELETE /v1/bookings/:id/cancel
+ *   reschedule     POST /v2/bookings/:uid/reschedule  PATCH /v1/bookings/:id
+ *   event type     GET  /v2/event-types/:id      GET    /v1/event-types/:id
+ *
+ * Tests set `slots` (ISO strings) and break either version with
+ * fail('v2', 500) / fail('v1', 'drop'); 'drop' closes the connection so
+ * fetch rejects like a network error. reset() restores the defaults.
+ */
+const { createServer } = require('./server');
+const { dateKey, zonedParts } = require('../../lib/time');
+
+function createFakeCalcom() {
+  const state = { slots: [], failures: {}, bookings: [], nextId: 1000 };
+
+  function slotsByDay(from, to) {
+    const byDay = {};
+    for (const iso of state.slots) {
+      const t = new Date(iso).getTime();
+      if ((from && t < new Date(from).getTime()) || (to && t > new Date(to).getTime())) continue;
+      const day = dateKey(zonedParts(new Date(iso), 'UTC'));
+      (byDay[day] = byDay[day] || []).push({ time: iso });
+    }
+    return byDay;
+  }
+
+  function book(body, version) {
+    const id = state.nextId++;
+    const booking = {
+      id,
+      uid: `uid-${id}`,
+      start: body.start,
+      end: new Date(new Date(body.start).getTime() + 3600000).toISOString(),
+      attendee: version === 'v2' ? body.attendee : body.responses,
+      status: 'accepted',
+    };
+    state.bookings.push(booking);
+    return booking;
+  }
+
+  function find(key) {
+    return state.bookings.find(b => b.uid === key || String(b.id) === String(key));
+  }
+
+  const routes = [
+    ['GET', /^\/v2\/slots\/available$/, (b, url) => ({ body: { status: 'success', data: { slots: slotsByDay(url.searchParams.get('startTime'), url.searchParams.get('endTime')) } } })],
+    ['GET', /^\/v1\/availability$/, (b, url) => ({ body: { slots: slotsByDay(url.searchParams.get('startTime'), url.searchParams.get('endTime')) } })],
+    ['POST', /^\/v2\/bookings$/, body => ({ status: 201, body: { status: 'success', data: book(body, 'v2') } })],
+    ['POST', /^\/v1\/bookings$/, body => {
+      const booking = book(body, 'v1');
+      return { body: { ...booking, startTime: booking.start, endTime: booking.end } };
+    }],
+    ['POST', /^\/v2\/bookings\/([^/]+)\/cancel$/, (b, url, [, uid]) => {
+      const booking = find(uid);
+      if (!booking) return { status: 404, body: { status: 'error' } };
+      booking.status = 'cancelled';
+      return { body: { status: 'success', data: booking } };
+    }],
+    ['DELETE', /^\/v1\/bookings\/([^/]+)\/cancel$/, (b, url, [, id]) => {
+      const booking = find(id);
+      if (!booking) return { status: 404, body: { message: 'Booking not found' } };
+      booking.status = 'cancelled';
+      return { body: { message: 'Booking successfully cancelled.' } };
+    }],
+    ['POST', /^\/v2\/bookings\/([^/]+)\/reschedule$/, (body, url, [, uid]) => {
+      const old = find(uid);
+      if (!old) return { status: 404, body: { status: 'error' } };
+      old.status = 'cancelled';
+      return { status: 201, body: { status: 'success', data: book({ start: body.start, attendee: old.attendee }, 'v2') } };
+    }],
+    ['PATCH', /^\/v1\/bookings\/([^/]+)$/, (body, url, [, id]) => {
+      const booking = find(id);
+      if (!booking) return { status: 404, body: { message: 'Booking not found' } };
+      Object.assign(booking, { start: body.startTime, end: body.endTime });
+      return { body: { booking: { ...booking, startTime: booking.start, endTime: booking.end } } };
+    }],
+    ['GET', /^\/v2\/event-types\/(\d+)$/, (b, url, [, id]) => ({ body: { status: 'success', data: { id: Number(id), title: '1 hour estimate', length: 60 } } })],
+    ['GET', /^\/v1\/event-types\/(\d+)$/, (b, url, [, id]) => ({ body: { event_type: { id: Number(id), title: '1 hour estimate', length: 60 } } })],
+  ];
+
+  return createServer((req, body, url) => {
+    const version = url.pathname.split('/')[1];
+    const failure = state.failures[version];
+    if (failure === 'drop') return { drop: true };
+    if (failure) return { status: failure, body: { status: 'error', error: { message: `Simulated ${failure}` } } };
+    for (const [method, pattern, handle] of routes) {
+      const match = req.method === method && url.pathname.match(pattern);
+      if (match) return handle(body, url, match);
+    }
+    return null;
+  }, {
+    state,
+    fail(version, how) {
+      state.failures[version] = how;
+    },
+    reset() {
+      Object.assign(state, { slots: [], failures: {}, bookings: [], nextId: 1000 });
+    },
+  });
+}
+
+module.exports = { createFakeCalcom };
@@ -0,0 +1,140 @@
+/**
+ * Local stand-in for the Upstash / Vercel KV REST API — test/support/fake-kv.js
+ *
+ * Speaks the two endpoints lib/kv.js uses (POST / with one command, POST
+ * /pipeline with many) over an in-memory Redis that knows just the commands
+ * the storage adapter sends: strings with EX / NX / KEEPTTL, sets, sorted
+ * sets and SCAN. Unknown commands answer with an error, like Redis would.
+ */
+const { createServer } = require('./server');
+
+function createFakeKv() {
+  const data = new Map();     // key → string | Set | Map(member → score)
+  const expiries = new Map(); // key → ms timestamp
+
+  function live(key) {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+      data.delete(key);
+      expiries.delete(key);
+    }
+    return data.has(key);
+  }
+
+  function zset(key) {
+    if (!live(key)) data.set(key, new Map());
+    return data.get(key);
+  }
+
+  function score(bound) {
+    if (bound === '+inf') return { value: Infinity, exclusive: false };
+    if (bound === '-inf') return { value: -Infinity, exclusive: false };
+    const s = String(bound);
+    return s.startsWith('(') ? { value: Number(s.slice(1)), exclusive: true } : { value: Number(s), exclusive: false };
+  }
+
+  function inRange(value, min, max) {
+    return (min.exclusive ? value > min.value : value >= min.value) && (max.exclusive ? value < max.value : value <= max.value);
+  }
+
+  function rangeByScore(key, min, max) {
+    if (!live(key)) return [];
+    const lo = score(min);
+    const hi = score(max);
+    return [...data.get(key)].filter(([, s]) => inRange(s, lo, hi)).sort((a, b) => a[1] - b[1]).map(([m]) => m);
+  }
+
+  function withLimit(members, args) {
+    const at = args.findIndex(a => String(a).toUpperCase() === 'LIMIT');
+    return at === -1 ? members : members.slice(Number(args[at + 1]), Number(args[at + 1]) + Number(args[at + 2]));
+  }
+
+  const COMMANDS = {
+    PING: () => 'PONG',
+    GET: key => (live(key) ? data.get(key) : null),
+    MGET: (...keys) => keys.map(k => (live(k) ? data.get(k) : null)),
+    SET(key, value, ...opts) {
+      const flags = opts.map(o => String(o).toUpperCase());
+      const exists = live(key);
+      if (flags.includes('NX') && exists) return null;
+      if (flags.includes('XX') && !exists) return null;
+      const keepTtl = flags.includes('KEEPTTL');
+      data.set(key, String(value));
+      const ex = flags.indexOf('EX');
+      if (ex !== -1) expiries.set(key, Date.now() + Number(opts[ex + 1]) * 1000);
+      else if (!keepTtl) expiries.delete(key);
+      return 'OK';
+    },
+    DEL(...keys) {
+      let removed = 0;
+      for (const key of keys) {
+        if (!live(key)) continue;
+        data.delete(key);
+        expiries.delete(key);
+        removed++;
+      }
+      return removed;
+    },
+    EXPIRE(key, seconds) {
+      if (!live(key)) return 0;
+      expiries.set(key, Date.now() + Number(seconds) * 1000);
+      return 1;
+    },
+    SADD(key, ...members) {
+      if (!live(key)) data.set(key, new Set());
+      const set = data.get(key);
+      const added = members.filter(m => !set.has(String(m))).length;
+      for (const m of members) set.add(String(m));
+      return added;
+    },
+    SREM: (key, ...members) => (live(key) ? members.filter(m => data.get(key).delete(String(m))).length : 0),
+    SMEMBERS: key => (live(key) ? [...data.get(key)] : []),
+    ZADD(key, ...pairs) {
+      const z = zset(key);
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        if (!z.has(String(pairs[i + 1]))) added++;
+        z.set(String(pairs[i + 1]), Number(pairs[i]));
+      }
+      return added;
+    },
+    ZREM: (key, ...members) => (live(key) ? members.filter(m => data.get(key).delete(String(m))).length : 0),
+    ZRANGEBYSCORE: (key, min, max, ...args) => withLimit(rangeByScore(key, min, max), args),
+    ZREVRANGEBYSCORE: (key, max, min, ...args) => withLimit(rangeByScore(key, min, max).reverse(), args),
+    ZREMRANGEBYSCORE(key, min, max) {
+      const members = rangeByScore(key, min, max);
+      for (const m of members) data.get(key).delete(m);
+      return members.length;
+    },
+    // One pass over everything — fine for test-sized data
+    SCAN(cursor, ...args) {
+      const at = args.findIndex(a => String(a).toUpperCase() === 'MATCH');
+      const pattern = at === -1 ? '*' : String(args[at + 1]);
+      const re = new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+      return ['0', [...data.keys()].filter(k => live(k) && re.test(k))];
+    },
+  };
+
+  function run(command) {
+    const [name, ...args] = command;
+    const fn = COMMANDS[String(name).toUpperCase()];
+    if (!fn) return { error: `ERR unknown command '${name}'` };
+    return { result: fn(...args) };
+  }
+
+  return createServer((req, body) => {
+    if (req.headers.authorization !== `Bearer ${process.env.KV_REST_API_TOKEN}`) return { status: 401, body: { error: 'Unauthorized' } };
+    if (req.url === '/pipeline') return { body: body.map(run) };
+    // GET /ping, /get/<key>, ... — the path form of a command
+    if (req.method === 'GET') return { body: run(req.url.split('/').filter(Boolean).map(decodeURIComponent)) };
+    const out = run(body);
+    return { status: out.error ? 400 : 200, body: out };
+  }, {
+    data,
+    reset() {
+      data.clear();
+      expiries.clear();
+    },
+  });
+}
+
+module.exports = { createFakeKv };
@@ -0,0 +1,90 @@
+/**
+ * Local stand-in for the Telnyx messaging API — test/support/fake-telnyx.js
+ *
+ * POST /v2/messages answers like Telnyx does and keeps the message in
+ * `sent`. Queue the next results with respondWith(...) — each entry is
+ * 'ok', an HTTP status (429, 500, 400, ...), 'drop' (connection closed) or
+ * a function run before answering that resolves to one of those; once the
+ * queue is empty every send succeeds.
+ *
+ * deliveryReceipt(message, status) builds the message.finalized event
+ * Telnyx would post back for a sent message.
+ *
+ * GET /v2/phone_numbers?filter[phone_number]= and /v2/messaging_profiles/:id
+ * answer from `numbers` / `profiles` (what /api/health checks); by default
+ * the test tenant's number is active on an enabled profile.
+ */
+const { createServer } = require('./server');
+
+function createFakeTelnyx() {
+  const sent = [];
+  const outcomes = [];
+  let nextId = 1;
+  const numbers = [];
+  const profiles = [];
+
+  function seed() {
+    numbers.splice(0, numbers.length, { phone_number: '+12815550199', status: 'active', messaging_profile_id: 'profile-1' });
+    profiles.splice(0, profiles.length, { id: 'profile-1', name: 'Acme SMS', enabled: true });
+  }
+  seed();
+
+  return createServer(async (req, body, url) => {
+    if (req.headers.authorization !== `Bearer ${process.env.TELNYX_API_KEY}`) {
+      return { status: 401, body: { errors: [{ code: '10009', title: 'Authentication failed' }] } };
+    }
+    if (req.method === 'GET' && url.pathname === '/v2/phone_numbers') {
+      const wanted = url.searchParams.get('filter[phone_number]');
+      return { body: { data: numbers.filter(n => !wanted || n.phone_number === wanted) } };
+    }
+    const profile = req.method === 'GET' && url.pathname.match(/^\/v2\/messaging_profiles\/([^/]+)$/);
+    if (profile) {
+      const found = profiles.find(p => p.id === profile[1]);
+      return found ? { body: { data: found } } : { status: 404, body: { errors: [{ code: '10005', title: 'Resource not found' }] } };
+    }
+    if (req.method !== 'POST' || url.pathname !== '/v2/messages') return null;
+    let outcome = outcomes.length ? outcomes.shift() : 'ok';
+    if (typeof outcome === 'function') outcome = await outcome(body);
+    if (outcome === 'drop') return { drop: true };
+    if (outcome !== 'ok') return { status: outcome, body: { errors: [{ code: String(outcome), title: `Simulated ${outcome}` }] } };
+    const message = {
+      id: `fake-msg-${nextId++}`,
+      record_type: 'message',
+      direction: 'outbound',
+      from: { phone_number: body.from },
+      to: [{ phone_number: body.to, status: 'queued' }],
+      text: body.text,
+      webhook_url: body.webhook_url || null,
+    };
+    sent.push(message);
+    return { body: { data: message } };
+  }, {
+    sent,
+    numbers,
+    profiles,
+    respondWith(...results) {
+      outcomes.push(...results);
+    },
+    deliveryReceipt(message, status = 'delivered') {
+      return {
+        data: {
+          event_type: 'message.finalized',
+          id: `evt-${message.id}`,
+          occurred_at: new Date().toISOString(),
+          payload: {
+            ...message,
+            to: message.to.map(t => ({ ...t, status })),
+            errors: status === 'delivered' ? [] : [{ code: '40300', title: 'Message delivery failed' }],
+          },
+        },
+      };
+    },
+    reset() {
+      sent.length = 0;
+      outcomes.length = 0;
+      seed();
+    },
+  });
+}
+
+module.exports = { createFakeTelnyx };
@@ -0,0 +1,128 @@
+/**
+ * Test harness — test/support/index.js
+ *
+ * startFakes() starts local stand-ins for Cal.com, Telnyx and KV and points
+ * the app at them through the same env vars production uses (CALCOM_API_URL,
+ * TELNYX_API_URL, KV_REST_API_URL, ...), so nothing leaves the machine.
+ *
+ * Tenants are read once per process (lib/tenants.js caches them), and
+ * node --test runs every test file in its own process — so each file calls
+ * useTenants() before requiring any app code.
+ *
+ * invoke(handler, request) runs a Vercel route handler in-process and
+ * resolves to { status, body, headers } once the handler has returned.
+ */
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { createFakeCalcom } = require('./fake-calcom');
+const { createFakeTelnyx } = require('./fake-telnyx');
+const { createFakeKv } = require('./fake-kv');
+
+const TEST_TENANT = {
+  id: 'acme-plumbing',
+  businessName: 'Acme Plumbing',
+  ownerName: 'Joe',
+  ownerPhone: '+12815550100',
+  timezone: 'America/Chicago',
+  assistantIds: ['asst-acme'],
+  telnyx: { phoneNumber: '+12815550199' },
+  calcom: { apiKey: 'cal-test-key', eventTypeId: 42 },
+  dashboardToken: 'dash-test-token',
+};
+
+function useTenants(tenants = [TEST_TENANT]) {
+  process.env.TENANTS = JSON.stringify(tenants);
+}
+
+async function startFakes() {
+  const calcom = createFakeCalcom();
+  const telnyx = createFakeTelnyx();
+  const kv = createFakeKv();
+  Object.assign(process.env, {
+    CALCOM_API_URL: await calcom.start(),
+    TELNYX_API_URL: await telnyx.start(),
+    TELNYX_API_KEY: 'telnyx-test-key',
+    KV_REST_API_URL: await kv.start(),
+    KV_REST_API_TOKEN: 'kv-test-token',
+  });
+  delete process.env.STORAGE_DRIVER;
+  return {
+    calcom,
+    telnyx,
+    kv,
+    reset() {
+      for (const fake of [calcom, telnyx, kv]) {
+        fake.reset();
+        fake.requests.length = 0;
+      }
+    },
+    close: () => Promise.all([calcom.close(), telnyx.close(), kv.close()]),
+  };
+}
+
+// A request as Vercel hands it over: bodyParser-off routes read the raw
+// stream, the rest get req.body
+function buildRequest({ method = 'POST', url = '/', body, headers = {}, query = {} }) {
+  const raw = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+  const req = Readable.from(raw ? [Buffer.from(raw)] : []);
+  Object.assign(req, {
+    method,
+    url,
+    query,
+    headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+    socket: { remoteAddress: '127.0.0.1' },
+  });
+  if (raw && !(typeof body === 'string')) req.body = body;
+  return req;
+}
+
+function invoke(handler, request = {}) {
+  const req = buildRequest(request);
+  const headers = {};
+  let sent = null;
+  const respond = body => {
+    sent = sent || { status: res.statusCode, body, headers };
+    return res;
+  };
+  const res = {
+    statusCode: 200,
+    setHeader(name, value) {
+      headers[name.toLowerCase()] = value;
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json: respond,
+    send: respond,
+    end: () => respond(null),
+  };
+  // Like Vercel, wait for the handler to finish, not just for the response
+  return Promise.resolve(handler(req, res)).then(() => {
+    if (!sent) throw new Error('Handler finished without responding');
+    return sent;
+  });
+}
+
+// Signature headers for a Vapi payload (see lib/signature.js)
+function signVapi(body, secret = process.env.VAPI_SIGNING_SECRET) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const raw = typeof body === 'string' ? body : JSON.stringify(body);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${raw}`).digest('hex');
+  return { 'x-vapi-signature': signature, 'x-vapi-timestamp': timestamp };
+}
+
+// A fixture from test/fixtures, deep-copied so tests can change it
+function fixture(name) {
+  return JSON.parse(JSON.stringify(require(`../fixtures/${name}.json`)));
+}
+
+// On the hour, `days` from now, as an ISO string
+function futureSlot(days = 2, hourUtc = 15) {
+  const d = new Date(Date.now() + days * 86400000);
+  d.setUTCHours(hourUtc, 0, 0, 0);
+  return d.toISOString();
+}
+
+module.exports = { TEST_TENANT, useTenants, startFakes, invoke, buildRequest, signVapi, fixture, futureSlot };
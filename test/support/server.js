@@ -0,0 +1,62 @@
+/**
+ * Tiny HTTP stand-in base — test/support/server.js
+ *
+ * createServer(handle, extras) wraps a route function in a real HTTP server
+ * on a random local port, so the code under test talks to it with plain
+ * fetch exactly as it would to the real API.
+ *
+ *   handle(req, body, url) → { status = 200, body } | { drop: true }
+ *     body: the parsed JSON (or form) request body; url: a URL object
+ *     drop: destroy the socket — fetch rejects like a network failure
+ *
+ * Every request is kept in `requests` ({ method, path, query, headers, body })
+ * for assertions. `extras` is merged into the returned object.
+ */
+const http = require('http');
+
+function parseBody(raw, contentType = '') {
+  if (!raw) return null;
+  if (contentType.includes('application/x-www-form-urlencoded')) return Object.fromEntries(new URLSearchParams(raw));
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return raw;
+  }
+}
+
+function createServer(handle, extras = {}) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const url = new URL(req.url, 'http://localhost');
+    const body = parseBody(Buffer.concat(chunks).toString('utf8'), req.headers['content-type']);
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+    let out;
+    try {
+      out = (await handle(req, body, url)) || { status: 404, body: { error: 'Not found' } };
+    } catch (e) {
+      out = { status: 500, body: { error: e.message } };
+    }
+    if (out.drop) return req.socket.destroy();
+    res.writeHead(out.status || 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(out.body ?? {}));
+  });
+
+  return {
+    requests,
+    url: null,
+    async start() {
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      this.url = `http://127.0.0.1:${server.address().port}`;
+      return this.url;
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+    ...extras,
+  };
+}
+
+module.exports = { createServer };
@@ -0,0 +1,148 @@
+// Vapi webhook scenarios, one per payload shape, against local stand-ins
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTenants, startFakes, invoke, signVapi, fixture, futureSlot, TEST_TENANT } = require('./support');
+
+useTenants();
+process.env.VAPI_SIGNING_SECRET = 'vapi-test-secret';
+const handler = require('../api/vapi/webhook');
+const { verifyWebhook } = require('../lib/signature');
+const { getStore } = require('../lib/storage');
+const { getTenant } = require('../lib/tenants');
+
+let fakes;
+before(async () => {
+  fakes = await startFakes();
+});
+after(() => fakes.close());
+beforeEach(() => fakes.reset());
+
+function post(payload, headers = signVapi(payload)) {
+  return invoke(handler, { body: payload, headers });
+}
+
+function store() {
+  return getStore(getTenant(TEST_TENANT.id));
+}
+
+test('rejects unsigned requests', async () => {
+  const res = await post(fixture('vapi/status-update'), {});
+  assert.equal(res.status, 401);
+});
+
+test('the legacy x-vapi-secret header is still accepted while VAPI_SECRET is set', async () => {
+  process.env.VAPI_SECRET = 'legacy-shared-secret';
+  try {
+    assert.equal((await post(fixture('vapi/status-update'), { 'x-vapi-secret': 'legacy-shared-secret' })).status, 200);
+    assert.equal((await post(fixture('vapi/status-update'), { 'x-vapi-secret': 'wrong' })).status, 401);
+    assert.equal((await post(fixture('vapi/status-update'))).status, 200);
+  } finally {
+    delete process.env.VAPI_SECRET;
+  }
+  assert.equal((await post(fixture('vapi/status-update'), { 'x-vapi-secret': 'legacy-shared-secret' })).status, 401);
+});
+
+test('a body the runtime already parsed fails loudly instead of as a bad signature', async () => {
+  const payload = fixture('vapi/status-update');
+  const req = { headers: signVapi(payload), body: payload, readable: false };
+  const result = await verifyWebhook(req, 'vapi');
+  assert.equal(result.status, 500);
+  assert.match(result.error, /bodyParser must be disabled/);
+});
+
+test('signed bodies that are not a JSON object are rejected with a 400', async () => {
+  for (const raw of ['null', '[]', '5', '"hello"']) {
+    const res = await invoke(handler, { body: raw, headers: signVapi(raw) });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body, { error: 'Expected a JSON object' });
+  }
+});
+
+test('toolCalls: check_availability offers open slots', async () => {
+  fakes.calcom.state.slots = [futureSlot(1, 19), futureSlot(1, 20), futureSlot(2, 15)];
+  const res = await post(fixture('vapi/tool-calls'));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.results[0].toolCallId, 'toolu_check_1');
+  assert.match(res.body.results[0].result, /I've got: /);
+  assert.equal(fakes.calcom.requests[0].path, '/v2/slots/available');
+});
+
+test('toolCallList: book_appointment books, texts the caller and stores the booking', async () => {
+  const payload = fixture('vapi/tool-call-list');
+  const args = JSON.parse(payload.message.toolCallList[0].function.arguments);
+  args.appointment_time = futureSlot(2);
+  payload.message.toolCallList[0].function.arguments = JSON.stringify(args);
+
+  const res = await post(payload);
+  assert.match(res.body.results[0].result, /^Booked for .*Confirmation texts sent\.$/);
+  assert.equal(fakes.calcom.state.bookings.length, 1);
+  // Customer confirmation + owner notification
+  assert.deepEqual(fakes.telnyx.sent.map(m => m.to[0].phone_number).sort(), ['+12815550100', '+12815550142']);
+
+  const [booking] = await store().find({ type: 'booking' });
+  assert.equal(booking.caller_name, 'Dana Reyes');
+  assert.equal(booking.customer_sms.status, 'sent');
+});
+
+test('a retried tool call replays the first result instead of booking twice', async () => {
+  const payload = fixture('vapi/tool-call-list');
+  const args = JSON.parse(payload.message.toolCallList[0].function.arguments);
+  args.appointment_time = futureSlot(3);
+  payload.message.toolCallList[0].function.arguments = JSON.stringify(args);
+
+  const first = await post(payload);
+  const retry = await post(payload);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(fakes.calcom.state.bookings.length, 1);
+  assert.equal(fakes.telnyx.sent.length, 2);
+});
+
+test('malformed tool arguments get the caller-facing error, not a 500', async () => {
+  const payload = fixture('vapi/tool-call-list');
+  payload.message.toolCallList[0].function.arguments = '{"caller_name": "Dana", ';
+  const res = await post(payload);
+  assert.equal(res.status, 200);
+  assert.match(res.body.results[0].result, /I need a few more details/);
+  assert.equal(fakes.calcom.state.bookings.length, 0);
+});
+
+test('tool arguments that are not an object get the caller-facing error, not a 500', async () => {
+  for (const args of ['null', '[]', '5', '"tomorrow"']) {
+    const payload = fixture('vapi/tool-call-list');
+    payload.message.toolCallList[0].id = `toolu_book_${args}`;
+    payload.message.toolCallList[0].function.arguments = args;
+    const res = await post(payload);
+    assert.equal(res.status, 200);
+    assert.match(res.body.results[0].result, /I need a few more details/);
+  }
+  assert.equal(fakes.calcom.state.bookings.length, 0);
+});
+
+test('legacy function-call: send_emergency_alert pages the owner', async () => {
+  const res = await post(fixture('vapi/function-call'));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.result.success, true);
+  assert.equal(fakes.telnyx.sent[0].to[0].phone_number, TEST_TENANT.ownerPhone);
+  assert.match(fakes.telnyx.sent[0].text, /EMERGENCY CALL/);
+  const [emergency] = await store().find({ type: 'emergency' });
+  assert.equal(emergency.issue, 'Burst pipe flooding the basement');
+});
+
+test('end-of-call-report stores the call once and texts the caller once', async () => {
+  const payload = fixture('vapi/end-of-call-report');
+  const first = await post(payload);
+  const retry = await post(payload);
+  assert.deepEqual(first.body, { received: true, duplicate: false });
+  assert.deepEqual(retry.body, { received: true, duplicate: true });
+
+  const call = await store().get('call-fixture-1');
+  assert.equal(call.status, 'Booked');
+  assert.equal(call.jobType, 'Plumbing');
+  const toCaller = fakes.telnyx.sent.filter(m => m.to[0].phone_number === '+12815550142');
+  assert.equal(toCaller.length, 1);
+});
+
+test('status-update is acknowledged', async () => {
+  const res = await post(fixture('vapi/status-update'));
+  assert.deepEqual(res.body, { ok: true });
+});